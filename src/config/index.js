@@ -1,53 +1,695 @@
 require('dotenv').config();
 
-const config = {
-  phabricator: {
-    baseUrl: process.env.PHAB_URL,
-    apiToken: process.env.PHAB_API_TOKEN,
-    userPhid: process.env.YOUR_USER_PHID,
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { CODE_PAGES } = require('../utils/codepage');
+const { parseTaskFilter } = require('../utils/task-filter');
+const { parseSortKeys, GROUP_KEYS } = require('../utils/print-order');
+const { ROUTE_FIELDS } = require('../utils/routing');
+
+/**
+ * Configuration
+ *
+ * Settings come from (highest priority first):
+ *   1. environment variables (and .env)
+ *   2. the selected profile of the config file (--profile or PHABPRINT_PROFILE)
+ *   3. the top-level sections of the config file
+ *   4. the defaults below
+ *
+ * The config file (--config, PHABPRINT_CONFIG, or phabprint.config.json /
+ * .yaml / .yml in the working directory) uses the same sections and keys as
+ * the config object, e.g. { "printer": { "paperWidth": 80 } }, plus
+ * "profiles": { "<name>": { ...sections } } and "profile": "<default name>".
+ */
+
+const CONFIG_FILES = ['phabprint.config.json', 'phabprint.config.yaml', 'phabprint.config.yml'];
+
+// Fields printed on tickets that can trigger an "UPDATED" ticket
+const REPRINT_FIELDS = ['title', 'priority', 'points', 'status', 'columns', 'projects', 'owner'];
+
+/**
+ * Value following a CLI flag, e.g. "home" for "--profile home"
+ */
+function argValue(flag) {
+  const index = process.argv.indexOf(flag);
+  const value = index === -1 ? null : process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : null;
+}
+
+/**
+ * Parse scan actions, e.g. "DONE:status=resolved,DOING:column=Doing"
+ * into { DONE: { type: 'status', value: 'resolved' }, ... }
+ * (the config file may also use that object form directly)
+ */
+function parseScanActions(value) {
+  if (typeof value === 'object' && value !== null) {
+    return Object.fromEntries(Object.entries(value).map(([code, action]) => {
+      if (!['status', 'column'].includes(action?.type) || !action.value) {
+        throw new Error(`action ${code} needs { type: "status" | "column", value }`);
+      }
+      return [code.toUpperCase(), { type: action.type, value: String(action.value) }];
+    }));
+  }
+
+  const actions = {};
+  String(value).split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const match = entry.match(/^([^:]+):(status|column)=(.+)$/);
+    if (!match) {
+      throw new Error(`"${entry}" is not CODE:status=<status> or CODE:column=<column>`);
+    }
+    actions[match[1].trim().toUpperCase()] = { type: match[2], value: match[3].trim() };
+  });
+
+  return actions;
+}
+
+/**
+ * Parse webhooks, e.g. "slack=https://hooks.slack.com/...,json=https://..."
+ * into [{ type: 'slack', url: '...' }, ...]
+ * (the config file may also use that list form directly)
+ */
+function parseWebhooks(value) {
+  const webhooks = Array.isArray(value)
+    ? value
+    : String(value).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+      const match = entry.match(/^(slack|discord|json)=(.+)$/);
+      return match ? { type: match[1], url: match[2] } : { type: 'json', url: entry };
+    });
+
+  return webhooks.map(webhook => {
+    if (!['slack', 'discord', 'json'].includes(webhook?.type)) {
+      throw new Error(`webhook type must be slack, discord or json, got "${webhook?.type}"`);
+    }
+    parseUrl(webhook.url);
+    return { type: webhook.type, url: webhook.url };
+  });
+}
+
+/**
+ * Parse one printer of PRINTERS: "name=type[:address][@width]", e.g.
+ * "backend=network:10.0.0.50:9100@80", "mobile=usb:0x0416:0x5011",
+ * "archive=file:output/archive"
+ */
+function parsePrinterSpec(entry) {
+  const match = entry.match(/^([^=]+)=(\w+)(?::([^@]*))?(?:@(.+))?$/);
+  if (!match) {
+    throw new Error(`"${entry}" is not name=type[:address][@width]`);
+  }
+
+  const [, name, type, address = '', paperWidth] = match;
+  const printer = { name: name.trim(), type, paperWidth };
+  if (type === 'network') {
+    const [, host, port] = address.match(/^(.*?)(?::(\d+))?$/);
+    Object.assign(printer, { host, port });
+  } else if (type === 'usb' && address) {
+    const [vendorId, productId] = address.split(':');
+    Object.assign(printer, { vendorId, productId });
+  } else if (type === 'file' && address) {
+    printer.outputDir = address;
+  }
+  return printer;
+}
+
+/**
+ * Parse named printers, e.g. "backend=network:10.0.0.50@80,mobile=usb:0x0416:0x5011"
+ * into [{ name, type, host, port, vendorId, productId, outputDir, paperWidth }, ...]
+ * (the config file may also use that list form directly)
+ */
+function parsePrinters(value) {
+  const printers = Array.isArray(value)
+    ? value
+    : String(value).split(',').map(s => s.trim()).filter(Boolean).map(parsePrinterSpec);
+
+  const keys = ['name', 'type', 'host', 'port', 'vendorId', 'productId', 'outputDir', 'paperWidth'];
+  const usbId = integer({ min: 0, max: 0xffff });
+  const names = new Set();
+
+  return printers.map(printer => {
+    if (typeof printer !== 'object' || printer === null || Array.isArray(printer)) {
+      throw new Error('each printer needs { name, type, ... }');
+    }
+    const name = String(printer.name ?? '').trim();
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`printer name must be letters, digits, "-" or "_", got "${name}"`);
+    }
+    if (names.has(name)) {
+      throw new Error(`printer "${name}" is defined twice`);
+    }
+    names.add(name);
+
+    try {
+      const unknown = Object.keys(printer).filter(key => !keys.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`unknown key(s) ${unknown.join(', ')} (allowed: ${keys.join(', ')})`);
+      }
+
+      const type = oneOf(['usb', 'network', 'file'])(printer.type);
+      const given = key => printer[key] !== undefined && printer[key] !== null && printer[key] !== '';
+      if (type === 'network' && !given('host')) {
+        throw new Error('network printers need a host');
+      }
+      if (type === 'usb' && given('vendorId') !== given('productId')) {
+        throw new Error('USB printers need both vendorId and productId (or neither)');
+      }
+
+      return {
+        name,
+        type,
+        host: type === 'network' ? String(printer.host) : null,
+        port: type === 'network' ? (given('port') ? port(printer.port) : 9100) : null,
+        vendorId: type === 'usb' && given('vendorId') ? usbId(printer.vendorId) : null,
+        productId: type === 'usb' && given('productId') ? usbId(printer.productId) : null,
+        outputDir: type === 'file' && given('outputDir') ? String(printer.outputDir) : null,
+        paperWidth: given('paperWidth') ? oneOf([58, 80])(printer.paperWidth) : null,
+      };
+    } catch (err) {
+      throw new Error(`printer "${name}": ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Parse print routes, e.g. "project:Mobile=mobile,column:Review=backend"
+ * into [{ field: 'project', value: 'Mobile', printer: 'mobile' }, ...]
+ * (the config file may also use the list form [{ project: 'Mobile', printer: 'mobile' }])
+ */
+function parseRoutes(value) {
+  const fields = Object.keys(ROUTE_FIELDS);
+
+  if (Array.isArray(value)) {
+    return value.map(rule => {
+      const matches = fields.filter(field => rule?.[field] !== undefined);
+      if (!rule?.printer || matches.length !== 1) {
+        throw new Error(`each route needs a printer and one of ${fields.join(', ')}`);
+      }
+      return { field: matches[0], value: String(rule[matches[0]]), printer: String(rule.printer) };
+    });
+  }
+
+  return String(value).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^(\w+):(.+)=([^=]+)$/);
+    if (!match || !fields.includes(match[1])) {
+      throw new Error(`"${entry}" is not ${fields.map(field => `${field}:<value>`).join(' | ')}=<printer>`);
+    }
+    return { field: match[1], value: match[2].trim(), printer: match[3].trim() };
+  });
+}
+
+// Value parsers: take an env string or a config file value, return the
+// parsed value or throw with a short description of what is expected
+
+function parseString(value) {
+  if (typeof value === 'object') throw new Error('must be a string');
+  return String(value);
+}
+
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (err) {
+    throw new Error(`must be a URL, got "${value}"`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`must be an http(s) URL, got "${value}"`);
+  }
+  return String(value);
+}
+
+function integer({ min = -Infinity, max = Infinity } = {}) {
+  return value => {
+    const number = Number(value);
+    if (String(value).trim() === '' || !Number.isInteger(number)) {
+      throw new Error(`must be a whole number, got "${value}"`);
+    }
+    if (number < min || number > max) {
+      throw new Error(max === Infinity ? `must be at least ${min}, got ${number}` : `must be between ${min} and ${max}, got ${number}`);
+    }
+    return number;
+  };
+}
+
+function oneOf(values) {
+  return value => {
+    const match = values.find(v => String(v).toLowerCase() === String(value).toLowerCase());
+    if (match === undefined) {
+      throw new Error(`must be one of ${values.join(', ')}, got "${value}"`);
+    }
+    return match;
+  };
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(text)) return true;
+  if (['false', '0', 'no', 'off'].includes(text)) return false;
+  throw new Error(`must be true or false, got "${value}"`);
+}
+
+function list({ lowercase = false, values = null } = {}) {
+  return value => {
+    const items = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .map(item => (lowercase ? item.toLowerCase() : item))
+      .filter(Boolean);
+
+    const unknown = values ? items.filter(item => !values.includes(item)) : [];
+    if (unknown.length > 0) {
+      throw new Error(`unknown value(s) ${unknown.join(', ')} (allowed: ${values.join(', ')})`);
+    }
+    return items;
+  };
+}
+
+function parseFile(value) {
+  const file = String(value);
+  if (!fs.existsSync(file)) throw new Error(`file not found: ${file}`);
+  return file;
+}
+
+function parsePhid(prefix) {
+  return value => {
+    if (!String(value).startsWith(prefix)) {
+      throw new Error(`must be a ${prefix}... PHID, got "${value}"`);
+    }
+    return String(value);
+  };
+}
+
+function parseProjects(value) {
+  const phids = list()(value);
+  phids.forEach(phid => parsePhid('PHID-PROJ-')(phid));
+  return phids;
+}
+
+function parseUsers(value) {
+  const phids = list()(value);
+  phids.forEach(phid => parsePhid('PHID-USER-')(phid));
+  return phids;
+}
+
+function parseQueryKey(value) {
+  if (!/^[\w-]+$/.test(String(value))) {
+    throw new Error(`must be a saved query key like "assigned" or "aBcD1234eFgH", got "${value}"`);
+  }
+  return String(value);
+}
+
+function parseFilter(value) {
+  parseTaskFilter(value);
+  return String(value).trim();
+}
+
+function parseReprintFields(value) {
+  if (String(value).toLowerCase() === 'none') return [];
+  return list({ lowercase: true, values: REPRINT_FIELDS })(value);
+}
+
+const port = integer({ min: 1, max: 65535 });
+
+/**
+ * Every setting: config path, environment variable, parser and default
+ */
+const FIELDS = [
+  // Phabricator
+  { path: 'phabricator.baseUrl', env: 'PHAB_URL', parse: parseUrl, phabricator: true },
+  { path: 'phabricator.apiToken', env: 'PHAB_API_TOKEN', parse: parseString, phabricator: true, secret: true },
+  { path: 'phabricator.userPhid', env: 'YOUR_USER_PHID', parse: parsePhid('PHID-USER-') },
+  // Safety limit for paged *.search calls
+  { path: 'phabricator.maxSearchResults', env: 'PHAB_MAX_RESULTS', parse: integer({ min: 1 }), default: 1000 },
+  // Per-request timeout and retries (network errors, HTTP 429 and 5xx)
+  { path: 'phabricator.timeoutMs', env: 'PHAB_TIMEOUT_MS', parse: integer({ min: 1000 }), default: 30000 },
+  { path: 'phabricator.retries', env: 'PHAB_RETRIES', parse: integer({ min: 0 }), default: 3 },
+
+  // Polling
+  { path: 'polling.intervalMs', env: 'POLL_INTERVAL_MS', parse: integer({ min: 10000 }), default: 15 * 60 * 1000 },
+  { path: 'polling.delayBetweenPrintsMs', env: 'PRINT_DELAY_MS', parse: integer({ min: 0 }), default: 1000 },
+
+  // Printer
+  { path: 'printer.type', env: 'PRINTER_TYPE', parse: oneOf(['usb', 'network', 'file']), default: 'usb' },
+  { path: 'printer.networkHost', env: 'PRINTER_HOST', parse: parseString },
+  { path: 'printer.networkPort', env: 'PRINTER_PORT', parse: port, default: 9100 },
+  // Connection and status reply timeout (network and USB printers)
+  { path: 'printer.timeoutMs', env: 'PRINTER_TIMEOUT_MS', parse: integer({ min: 500 }), default: 5000 },
+  // Check paper, cover and online status (DLE EOT) before and after each job
+  { path: 'printer.statusCheck', env: 'PRINTER_STATUS_CHECK', parse: parseBoolean, default: true },
+  { path: 'printer.outputDir', env: 'PRINTER_OUTPUT_DIR', parse: parseString, default: 'output' },
+  { path: 'printer.paperWidth', env: 'PAPER_WIDTH', parse: oneOf([58, 80]), default: 58 },
+  { path: 'printer.qrCode', env: 'PRINT_QR_CODE', parse: parseBoolean, default: true },
+  // JSON ticket layout (default: layouts/default.json)
+  { path: 'printer.layoutFile', env: 'TICKET_LAYOUT', parse: parseFile },
+  // Code page for text, selected with ESC t; characters it cannot print are transliterated
+  { path: 'printer.codePage', env: 'CODE_PAGE', parse: oneOf(Object.keys(CODE_PAGES)), default: 'cp437' },
+  // ESC t table number, for printers that don't use the Epson numbering
+  { path: 'printer.codePageTable', env: 'CODE_PAGE_TABLE', parse: integer({ min: 0, max: 255 }), default: null },
+  // Titles are word-wrapped over up to this many lines
+  { path: 'printer.titleMaxLines', env: 'TITLE_MAX_LINES', parse: integer({ min: 1 }), default: 3 },
+  // Optional excerpt of the task description (Remarkup stripped)
+  { path: 'printer.description', env: 'PRINT_DESCRIPTION', parse: parseBoolean, default: false },
+  { path: 'printer.descriptionMaxLines', env: 'DESCRIPTION_MAX_LINES', parse: integer({ min: 1 }), default: 4 },
+  // Parent task ID and title, and a checklist of subtasks on epics (edge.search)
+  { path: 'printer.parentTask', env: 'PRINT_PARENT', parse: parseBoolean, default: true },
+  { path: 'printer.subtasks', env: 'PRINT_SUBTASKS', parse: parseBoolean, default: false },
+  { path: 'printer.subtasksMaxLines', env: 'SUBTASKS_MAX_LINES', parse: integer({ min: 1 }), default: 10 },
+  // Backoff for queued jobs when the printer is unavailable (doubles per attempt)
+  { path: 'printer.retryDelayMs', env: 'PRINT_RETRY_DELAY_MS', parse: integer({ min: 100 }), default: 10000 },
+  { path: 'printer.retryMaxDelayMs', env: 'PRINT_RETRY_MAX_DELAY_MS', parse: integer({ min: 100 }), default: 5 * 60 * 1000 },
+  // Printed fields that trigger an "UPDATED" ticket when they change ('none' disables)
+  { path: 'printer.reprintFields', env: 'REPRINT_ON_CHANGE', parse: parseReprintFields, default: ['title', 'priority', 'points'] },
+  // Print order of a batch, e.g. "column,priority,id" ('-' reverses a key)
+  { path: 'printer.sortBy', env: 'PRINT_SORT', parse: parseSortKeys, default: [] },
+  // Group the batch with a header slip per group
+  { path: 'printer.groupBy', env: 'PRINT_GROUP_BY', parse: oneOf(['none', ...Object.keys(GROUP_KEYS)]), default: 'none' },
+  // Cut only after the last ticket of each group (one strip per group)
+  { path: 'printer.cutBetweenGroups', env: 'CUT_BETWEEN_GROUPS', parse: parseBoolean, default: false },
+  // Large owner band for swim lanes ('auto': the name in team mode, none otherwise)
+  { path: 'printer.ownerBand', env: 'OWNER_BAND', parse: oneOf(['auto', 'none', 'name', 'initials']), default: 'auto' },
+
+  // Several named printers (replace the single PRINTER_* printer)
+  { path: 'routing.printers', env: 'PRINTERS', parse: parsePrinters, default: [] },
+  // Send tasks to a printer by project, assignee or column (first match wins)
+  { path: 'routing.rules', env: 'PRINT_ROUTES', parse: parseRoutes, default: [] },
+  // Printer for tasks no route matches (default: the first printer)
+  { path: 'routing.defaultPrinter', env: 'DEFAULT_PRINTER', parse: parseString },
+
+  // Printed history per sprint: milestones, or projects whose name contains a keyword
+  { path: 'history.sprintKeywords', env: 'SPRINT_PROJECT_KEYWORDS', parse: list({ lowercase: true }), default: [] },
+  // Print the tickets of tasks carried over to a new sprint again
+  { path: 'history.carryOverReprint', env: 'CARRY_OVER_REPRINT', parse: parseBoolean, default: false },
+
+  // Web dashboard
+  { path: 'dashboard.enabled', env: 'DASHBOARD', parse: parseBoolean, default: false, flag: '--dashboard' },
+  { path: 'dashboard.host', env: 'DASHBOARD_HOST', parse: parseString, default: '127.0.0.1' },
+  { path: 'dashboard.port', env: 'DASHBOARD_PORT', parse: port, default: 3000 },
+
+  // Herald webhook receiver
+  { path: 'webhook.enabled', env: 'HERALD_WEBHOOK', parse: parseBoolean, default: false, flag: '--webhook' },
+  { path: 'webhook.host', env: 'HERALD_WEBHOOK_HOST', parse: parseString, default: '0.0.0.0' },
+  { path: 'webhook.port', env: 'HERALD_WEBHOOK_PORT', parse: port, default: 3001 },
+  // Shown on the webhook's page in Phabricator
+  { path: 'webhook.hmacKey', env: 'HERALD_HMAC_KEY', parse: parseString, secret: true },
+  { path: 'webhook.debounceMs', env: 'HERALD_DEBOUNCE_MS', parse: integer({ min: 0 }), default: 5000 },
+  // Polling still runs as a fallback for missed webhook calls, just less often
+  { path: 'webhook.fallbackPollMs', env: 'HERALD_FALLBACK_POLL_MS', parse: integer({ min: 10000 }), default: 60 * 60 * 1000 },
+
+  // Scan-to-update
+  { path: 'scanner.enabled', env: 'SCANNER', parse: parseBoolean, default: false, flag: '--scan' },
+  // Read codes from a device instead of stdin
+  { path: 'scanner.device', env: 'SCAN_DEVICE', parse: parseString },
+  {
+    path: 'scanner.actions',
+    env: 'SCAN_ACTIONS',
+    parse: parseScanActions,
+    default: 'DONE:status=resolved,DOING:column=Doing,TODO:column=To Do',
   },
 
-  polling: {
-    intervalMs: parseInt(process.env.POLL_INTERVAL_MS, 10) || 15 * 60 * 1000, // 15 minutes
-    delayBetweenPrintsMs: parseInt(process.env.PRINT_DELAY_MS, 10) || 1000,
+  // Notifications
+  { path: 'notifications.webhooks', env: 'NOTIFY_WEBHOOKS', parse: parseWebhooks, default: [], secret: true },
+  { path: 'notifications.retries', env: 'NOTIFY_RETRIES', parse: integer({ min: 0 }), default: 3 },
+  { path: 'notifications.timeoutMs', env: 'NOTIFY_TIMEOUT_MS', parse: integer({ min: 100 }), default: 10000 },
+  // Message templates ({field} placeholders, see README)
+  {
+    path: 'notifications.templates.header',
+    env: 'NOTIFY_TEMPLATE_HEADER',
+    parse: parseString,
+    default: 'PhabPrint: {printedCount} printed, {updatedCount} updated, {failedCount} failed',
   },
+  { path: 'notifications.templates.printed', env: 'NOTIFY_TEMPLATE_PRINTED', parse: parseString, default: '• Printed {id}: {title}' },
+  { path: 'notifications.templates.updated', env: 'NOTIFY_TEMPLATE_UPDATED', parse: parseString, default: '• Updated {id}: {title}' },
+  { path: 'notifications.templates.failed', env: 'NOTIFY_TEMPLATE_FAILED', parse: parseString, default: '• Failed {id}: {title} ({error})' },
 
-  printer: {
-    type: process.env.PRINTER_TYPE || 'usb', // 'usb' or 'network'
-    networkHost: process.env.PRINTER_HOST,
-    networkPort: parseInt(process.env.PRINTER_PORT, 10) || 9100,
-    paperWidth: parseInt(process.env.PAPER_WIDTH, 10) || 58, // mm (58 or 80 common)
+  // Filters
+  // Column names to match for sprint tasks (case-insensitive)
+  {
+    path: 'filters.sprintColumns',
+    env: 'SPRINT_COLUMNS',
+    parse: list({ lowercase: true }),
+    default: 'sprint,to do,in progress,doing',
+    required: true,
   },
+  // Only open tasks by default
+  { path: 'filters.statuses', env: 'TASK_STATUSES', parse: list(), default: 'open', required: true },
+  // Saved query (Maniphest > Advanced Search > Save Query, key from the URL)
+  { path: 'filters.queryKey', env: 'TASK_QUERY_KEY', parse: parseQueryKey },
+  // Tasks tagged with any of these projects (project or board PHIDs)
+  { path: 'filters.projects', env: 'TASK_PROJECTS', parse: parseProjects, default: [] },
+  // 'me', 'team' or 'any'; 'auto' is 'team' when a team is set, otherwise
+  // 'me' unless a saved query or projects select the tasks
+  { path: 'filters.assignee', env: 'TASK_ASSIGNEE', parse: oneOf(['auto', 'me', 'team', 'any']), default: 'auto' },
+  // Team mode: the team's user PHIDs, and/or a project whose members are the team
+  { path: 'filters.teamMembers', env: 'TEAM_MEMBERS', parse: parseUsers, default: [] },
+  { path: 'filters.teamProject', env: 'TEAM_PROJECT', parse: parsePhid('PHID-PROJ-') },
+  // Also print unassigned tasks (with 'me' or 'team')
+  { path: 'filters.unassigned', env: 'TASK_UNASSIGNED', parse: parseBoolean, default: false },
+  // Filter expression, replaces the SPRINT_COLUMNS keyword match (see README)
+  { path: 'filters.rules', env: 'TASK_FILTER', parse: parseFilter },
+];
 
-  filters: {
-    // Column names to match for sprint tasks (case-insensitive)
-    sprintColumns: (process.env.SPRINT_COLUMNS || 'sprint,to do,in progress,doing')
-      .split(',')
-      .map(s => s.trim().toLowerCase()),
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
 
-    // Only open tasks by default
-    statuses: (process.env.TASK_STATUSES || 'open').split(',').map(s => s.trim()),
-  },
-};
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+  target[last] = value;
+}
 
-// Validation
-function validateConfig() {
+/**
+ * Find the config file: --config, PHABPRINT_CONFIG or a default file name
+ */
+function findConfigFile() {
+  const file = argValue('--config') || process.env.PHABPRINT_CONFIG;
+  if (file) return path.resolve(file);
+  return CONFIG_FILES.map(name => path.resolve(name)).find(name => fs.existsSync(name)) || null;
+}
+
+/**
+ * Read a JSON or YAML config file
+ */
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error('expected an object with settings');
+  }
+  return data;
+}
+
+/**
+ * List keys of a config file section that are not settings
+ */
+function findUnknownKeys(section, prefix) {
+  const known = new Set(FIELDS.map(field => field.path));
+  const unknown = [];
+
+  const walk = (node, keyPath) => {
+    Object.entries(node).forEach(([key, value]) => {
+      const fullPath = keyPath ? `${keyPath}.${key}` : key;
+      if (known.has(fullPath)) return;
+      const isSection = FIELDS.some(field => field.path.startsWith(`${fullPath}.`));
+      if (isSection && typeof value === 'object' && value !== null && !Array.isArray(value)) {
+        walk(value, fullPath);
+      } else {
+        unknown.push(`${prefix}${fullPath}`);
+      }
+    });
+  };
+
+  walk(section, '');
+  return unknown;
+}
+
+/**
+ * Build the configuration from defaults, config file, profile and environment
+ */
+function loadConfig() {
   const errors = [];
+  const sources = {};
+  const result = {};
 
-  if (!config.phabricator.apiToken) {
-    errors.push('PHAB_API_TOKEN is required');
+  const file = findConfigFile();
+  let fileData = {};
+  if (file) {
+    try {
+      fileData = readConfigFile(file);
+    } catch (err) {
+      errors.push(`Config file ${file}: ${err.message.split('\n')[0]}`);
+    }
   }
 
-  if (!config.phabricator.userPhid) {
-    errors.push('YOUR_USER_PHID is required');
+  const { profiles = {}, profile: defaultProfile, ...shared } = fileData;
+  const profile = argValue('--profile') || process.env.PHABPRINT_PROFILE || defaultProfile || null;
+  let profileData = {};
+  if (profile) {
+    if (!profiles[profile]) {
+      const names = Object.keys(profiles);
+      errors.push(`Unknown profile "${profile}" (${names.length > 0 ? `available: ${names.join(', ')}` : 'no profiles defined'})`);
+    } else {
+      profileData = profiles[profile];
+    }
   }
 
+  findUnknownKeys(shared, '').forEach(key => errors.push(`Config file: unknown setting "${key}"`));
+  findUnknownKeys(profileData, `profiles.${profile}.`).forEach(key => errors.push(`Config file: unknown setting "${key}"`));
+
+  FIELDS.forEach(field => {
+    const candidates = [
+      [process.env[field.env], field.env],
+      [getPath(profileData, field.path), `profile "${profile}"`],
+      [getPath(shared, field.path), 'config file'],
+    ];
+    const [raw, source] = candidates.find(([value]) => value !== undefined && value !== '') || [field.default, 'default'];
+
+    let value = raw;
+    if (raw !== undefined && raw !== null) {
+      try {
+        value = field.parse(raw);
+      } catch (err) {
+        errors.push(source === field.env
+          ? `${field.env}: ${err.message}`
+          : `${field.path} (${source}, env ${field.env}): ${err.message}`);
+        value = field.default == null ? field.default : field.parse(field.default);
+      }
+    }
+
+    if (field.flag && process.argv.includes(field.flag)) {
+      value = true;
+    }
+
+    setPath(result, field.path, value);
+    sources[field.path] = source;
+  });
+
+  return { config: result, errors, file, profile, sources };
+}
+
+const loaded = loadConfig();
+const config = loaded.config;
+
+/**
+ * Check that the printer device module for a printer type is installed
+ */
+function checkDeviceModule(type) {
+  const modules = { usb: 'escpos-usb', network: 'escpos-network' };
+  if (!modules[type]) return null;
+
+  try {
+    require.resolve(modules[type]);
+    return null;
+  } catch (err) {
+    return `Printer type ${type} needs the ${modules[type]} package (npm install ${modules[type]})`;
+  }
+}
+
+/**
+ * List configuration problems (empty when valid). The Phabricator URL and
+ * credentials are only required with { phabricator: true }.
+ */
+function getConfigErrors({ phabricator = true } = {}) {
+  const errors = [...loaded.errors];
+
+  FIELDS.forEach(field => {
+    const value = getPath(config, field.path);
+    const missing = value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+    if (missing && (field.required || (field.phabricator && phabricator))) {
+      errors.push(`${field.env} is required`);
+    }
+  });
+
+  if (config.routing.printers.length === 0 && config.printer.type === 'network' && !config.printer.networkHost) {
+    errors.push('PRINTER_HOST is required when PRINTER_TYPE=network');
+  }
+
+  const { printers, rules, defaultPrinter } = config.routing;
+  const printerTypes = printers.length > 0 ? printers.map(printer => printer.type) : [config.printer.type];
+  new Set(printerTypes).forEach(type => {
+    const deviceError = checkDeviceModule(type);
+    if (deviceError) errors.push(deviceError);
+  });
+
+  // Routes and the default printer must name a printer of PRINTERS
+  const printerNames = printers.map(printer => printer.name);
+  const routedNames = [...rules.map(rule => rule.printer), ...(defaultPrinter ? [defaultPrinter] : [])];
+  if (routedNames.length > 0 && printerNames.length === 0) {
+    errors.push('PRINT_ROUTES and DEFAULT_PRINTER need named printers in PRINTERS');
+  } else {
+    new Set(routedNames.filter(name => !printerNames.includes(name))).forEach(name => {
+      errors.push(`Unknown printer "${name}" in PRINT_ROUTES or DEFAULT_PRINTER (PRINTERS: ${printerNames.join(', ')})`);
+    });
+  }
+
+  const { assignee, teamMembers, teamProject } = config.filters;
+  if (assignee === 'team' && teamMembers.length === 0 && !teamProject) {
+    errors.push('TEAM_MEMBERS or TEAM_PROJECT is required when TASK_ASSIGNEE=team');
+  }
+
+  // Only your own tasks need your user PHID
+  if (phabricator && getAssignee() === 'me' && !config.phabricator.userPhid) {
+    errors.push('YOUR_USER_PHID is required for your own tasks (TASK_ASSIGNEE=me, or auto without a team, query or projects)');
+  }
+
+  if (config.printer.retryMaxDelayMs < config.printer.retryDelayMs) {
+    errors.push('PRINT_RETRY_MAX_DELAY_MS must not be smaller than PRINT_RETRY_DELAY_MS');
+  }
+
+  if (config.webhook.enabled && !config.webhook.hmacKey) {
+    errors.push('HERALD_HMAC_KEY is required when the Herald webhook is enabled');
+  }
+
+  if (config.dashboard.enabled && config.webhook.enabled && config.dashboard.port === config.webhook.port) {
+    errors.push('DASHBOARD_PORT and HERALD_WEBHOOK_PORT must be different');
+  }
+
+  return errors;
+}
+
+/**
+ * Whose tasks are printed: TASK_ASSIGNEE, with 'auto' resolved to the team's
+ * tasks when a team is set, otherwise any tasks when a saved query or
+ * projects select them, otherwise your own ('me')
+ */
+function getAssignee() {
+  const { queryKey, projects, assignee, teamMembers, teamProject } = config.filters;
+  if (assignee !== 'auto') return assignee;
+  if (teamMembers.length > 0 || teamProject) return 'team';
+  return queryKey || projects.length > 0 ? 'any' : 'me';
+}
+
+// Validation
+function validateConfig(options = {}) {
+  const errors = getConfigErrors(options);
+
   if (errors.length > 0) {
     console.error('Configuration errors:');
     errors.forEach(e => console.error(`  - ${e}`));
-    console.error('\nPlease check your .env file');
+    console.error(`\nPlease check your .env file${loaded.file ? ` and ${loaded.file}` : ''}`);
     process.exit(1);
   }
 }
 
-module.exports = { config, validateConfig };
+/**
+ * Resolved settings with their source, secrets masked (for --check-config)
+ */
+function describeConfig() {
+  return FIELDS.map(field => {
+    let value = getPath(config, field.path);
+    if (field.secret && value && (!Array.isArray(value) || value.length > 0)) {
+      value = '********';
+    }
+    return { path: field.path, env: field.env, value, source: loaded.sources[field.path] };
+  });
+}
+
+module.exports = {
+  config,
+  validateConfig,
+  getConfigErrors,
+  getAssignee,
+  describeConfig,
+  configFile: loaded.file,
+  configProfile: loaded.profile,
+};
@@ -0,0 +1,75 @@
+/**
+ * File printer device
+ *
+ * Implements the escpos adapter interface (open / write / close) but, instead
+ * of sending the ESC/POS byte stream to a printer, saves it as a .bin file
+ * together with an HTML preview decoded from the same bytes. Useful to review
+ * layout changes and to regression-test output on a machine without a printer.
+ */
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { decode } = require('../preview/decoder');
+const { toHtml } = require('../preview/html');
+
+class FileDevice extends EventEmitter {
+  constructor(outputDir, name, options = {}) {
+    super();
+    this.outputDir = outputDir;
+    this.name = name;
+    this.paperWidth = options.paperWidth || 58;
+    this.chunks = [];
+  }
+
+  /**
+   * Create the output directory
+   */
+  open(callback) {
+    fs.mkdir(this.outputDir, { recursive: true }, err => {
+      if (!err) this.emit('connect');
+      if (callback) callback(err || null);
+    });
+    return this;
+  }
+
+  /**
+   * Collect a chunk of the byte stream
+   */
+  write(data, callback) {
+    this.chunks.push(Buffer.from(data));
+    if (callback) callback(null);
+    return this;
+  }
+
+  /**
+   * Files have no status to report back
+   */
+  read() {
+    return this;
+  }
+
+  /**
+   * Write the captured bytes and the HTML preview
+   */
+  close(callback) {
+    const data = Buffer.concat(this.chunks);
+    const binFile = path.join(this.outputDir, `${this.name}.bin`);
+    const htmlFile = path.join(this.outputDir, `${this.name}.html`);
+
+    try {
+      fs.writeFileSync(binFile, data);
+      fs.writeFileSync(htmlFile, toHtml(decode(data), { title: this.name, paperWidth: this.paperWidth }), 'utf8');
+    } catch (err) {
+      if (callback) callback(err);
+      return this;
+    }
+    console.log(`[FILE] Wrote ${binFile} (${data.length} bytes) and ${path.basename(htmlFile)}`);
+
+    this.chunks = [];
+    this.emit('close');
+    if (callback) callback(null);
+    return this;
+  }
+}
+
+module.exports = FileDevice;
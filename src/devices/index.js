@@ -0,0 +1,82 @@
+/**
+ * Printers
+ *
+ * PRINTERS names one or more printers, each with its own connection and
+ * paper width. Without it there is one printer, "default", set up by the
+ * PRINTER_* settings. Device modules are only loaded for the printer types
+ * in use.
+ */
+const path = require('path');
+const { config } = require('../config');
+const FileDevice = require('./file');
+
+/**
+ * The configured printers: [{ name, type, host, port, vendorId, productId, outputDir, paperWidth }]
+ */
+function getPrinters() {
+  const { printer } = config;
+
+  if (config.routing.printers.length === 0) {
+    return [{
+      name: 'default',
+      type: printer.type,
+      host: printer.networkHost || null,
+      port: printer.networkPort,
+      vendorId: null,
+      productId: null,
+      outputDir: printer.outputDir,
+      paperWidth: printer.paperWidth,
+    }];
+  }
+
+  // File printers write to a folder of their own, widths default to PAPER_WIDTH
+  return config.routing.printers.map(named => ({
+    ...named,
+    outputDir: named.outputDir || path.join(printer.outputDir, named.name),
+    paperWidth: named.paperWidth || printer.paperWidth,
+  }));
+}
+
+/**
+ * Name of the printer for tasks no route matches
+ */
+function getDefaultPrinterName() {
+  return config.routing.defaultPrinter || getPrinters()[0].name;
+}
+
+/**
+ * Create the device of a printer
+ * (name is used for the output file of the 'file' printer type)
+ */
+function createDevice(printer, name = 'ticket') {
+  const { timeoutMs } = config.printer;
+  if (printer.type === 'network') {
+    const NetworkDevice = require('./network');
+    return new NetworkDevice(printer.host, printer.port, { timeoutMs });
+  }
+  if (printer.type === 'file') {
+    return new FileDevice(printer.outputDir, name, { paperWidth: printer.paperWidth });
+  }
+  const UsbDevice = require('./usb');
+  return new UsbDevice(printer.vendorId ?? undefined, printer.productId ?? undefined, { timeoutMs });
+}
+
+/**
+ * One-line description, e.g. "network 10.0.0.50:9100, 80mm" or "usb 0x0416:0x5011, 58mm"
+ */
+function describePrinter(printer) {
+  const hex = id => `0x${id.toString(16).padStart(4, '0')}`;
+  const address = {
+    network: `${printer.host}:${printer.port}`,
+    usb: printer.vendorId === null ? 'first found' : `${hex(printer.vendorId)}:${hex(printer.productId)}`,
+    file: printer.outputDir,
+  }[printer.type];
+  return `${printer.type} ${address}, ${printer.paperWidth}mm`;
+}
+
+module.exports = {
+  getPrinters,
+  getDefaultPrinterName,
+  createDevice,
+  describePrinter,
+};
@@ -0,0 +1,101 @@
+/**
+ * Network printer device
+ *
+ * escpos-network with timeouts: opening fails when the printer does not
+ * accept the connection in time (instead of hanging until the OS gives up),
+ * a stalled connection is dropped, and status requests (DLE EOT) read the
+ * reply from the socket.
+ */
+const Network = require('escpos-network');
+const { statusCommand, NoStatusReplyError } = require('./status');
+
+class NetworkDevice extends Network {
+  constructor(address, port, { timeoutMs = 5000 } = {}) {
+    super(address, port);
+    this.timeoutMs = timeoutMs;
+    this.error = null;
+  }
+
+  /**
+   * Connect to the printer, failing after timeoutMs
+   */
+  open(callback) {
+    let done = false;
+    const finish = err => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (callback) callback(err || null, this.device);
+    };
+
+    const timer = setTimeout(() => {
+      finish(new Error(`Connection to ${this.address}:${this.port} timed out after ${this.timeoutMs}ms`));
+      this.device.destroy();
+    }, this.timeoutMs);
+
+    // Errors after connecting fail the next write or status request
+    this.device.on('error', err => {
+      this.error = err;
+      finish(err);
+    });
+
+    // No data moving for timeoutMs (e.g. cable pulled) drops the connection
+    this.device.setTimeout(this.timeoutMs, () => {
+      this.device.destroy(new Error(`Connection to ${this.address}:${this.port} stalled for ${this.timeoutMs}ms`));
+    });
+
+    this.device.connect(this.port, this.address, () => {
+      this.emit('connect', this.device);
+      finish(null);
+    });
+
+    return this;
+  }
+
+  /**
+   * Send data, reporting connection errors to the callback
+   */
+  write(data, callback) {
+    if (this.error || !this.device || this.device.destroyed) {
+      if (callback) callback(this.error || new Error('Printer connection closed'));
+      return this;
+    }
+
+    this.device.write(data, callback);
+    return this;
+  }
+
+  /**
+   * Network printers answer status requests on the same connection
+   */
+  canRequestStatus() {
+    return true;
+  }
+
+  /**
+   * Send DLE EOT n and wait for the one-byte reply
+   */
+  requestStatus(n, callback) {
+    let timer = null;
+    const onData = data => {
+      clearTimeout(timer);
+      callback(null, data[data.length - 1]);
+    };
+
+    timer = setTimeout(() => {
+      this.device.removeListener('data', onData);
+      callback(new NoStatusReplyError(`No reply to status request from ${this.address}:${this.port}`));
+    }, this.timeoutMs);
+
+    this.device.once('data', onData);
+    this.write(statusCommand(n), err => {
+      if (err) {
+        clearTimeout(timer);
+        this.device.removeListener('data', onData);
+        callback(err);
+      }
+    });
+  }
+}
+
+module.exports = NetworkDevice;
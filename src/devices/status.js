@@ -0,0 +1,114 @@
+/**
+ * Real-time printer status (DLE EOT)
+ *
+ * ESC/POS printers answer DLE EOT n with one status byte, even while they
+ * are offline or printing:
+ *   n = 1  printer status   (offline)
+ *   n = 2  offline cause    (cover open, stopped by paper end, error)
+ *   n = 4  paper sensor     (roll near end, paper out)
+ *
+ * Devices that can answer implement canRequestStatus() and
+ * requestStatus(n, callback(err, byte)); the file printer has no status.
+ */
+
+const STATUS_REQUESTS = [1, 2, 4];
+
+/**
+ * The printer reported a problem (paper out, cover open, ...) before or
+ * after a job
+ */
+class PrinterStatusError extends Error {
+  constructor(status, when) {
+    super(`Printer not ready ${when === 'after' ? 'after printing' : 'before printing'}: ${status.problems.join(', ')}`);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+/**
+ * The printer did not answer a status request (no DLE EOT support)
+ */
+class NoStatusReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * DLE EOT n command bytes
+ */
+function statusCommand(n) {
+  return Buffer.from([0x10, 0x04, n]);
+}
+
+/**
+ * Whether a byte looks like a status reply (bit 1 and 4 set, bit 0 and 7 clear)
+ */
+function isStatusByte(byte) {
+  return (byte & 0x93) === 0x12;
+}
+
+/**
+ * Decode the status bytes ({ 1: byte, 2: byte, 4: byte }) into flags and
+ * the list of problems that stop printing
+ */
+function parseStatus(bytes) {
+  const status = {
+    offline: Boolean(bytes[1] & 0x08),
+    coverOpen: Boolean(bytes[2] & 0x04),
+    paperOut: Boolean(bytes[4] & 0x60) || Boolean(bytes[2] & 0x20),
+    paperNearEnd: Boolean(bytes[4] & 0x0c),
+    error: Boolean(bytes[2] & 0x40),
+  };
+
+  const problems = [];
+  if (status.paperOut) problems.push('paper out');
+  if (status.coverOpen) problems.push('cover open');
+  if (status.error) problems.push('printer error');
+  // Offline is the consequence of the problems above, only report it alone
+  if (status.offline && problems.length === 0) problems.push('offline');
+
+  return { ...status, ready: problems.length === 0, problems };
+}
+
+/**
+ * One-line description, e.g. "ready", "ready (paper near end)", "paper out, cover open"
+ */
+function describeStatus(status) {
+  if (!status) return 'unknown (no status support)';
+  if (!status.ready) return status.problems.join(', ');
+  return status.paperNearEnd ? 'ready (paper near end)' : 'ready';
+}
+
+/**
+ * Ask an opened device for its status
+ * Resolves to null when the device cannot report a status
+ */
+async function queryStatus(device) {
+  if (typeof device.canRequestStatus !== 'function' || !device.canRequestStatus()) {
+    return null;
+  }
+
+  const bytes = {};
+  for (const n of STATUS_REQUESTS) {
+    bytes[n] = await new Promise((resolve, reject) => {
+      device.requestStatus(n, (err, byte) => (err ? reject(err) : resolve(byte)));
+    });
+
+    if (!isStatusByte(bytes[n])) {
+      throw new NoStatusReplyError(`Unexpected status reply 0x${bytes[n].toString(16).padStart(2, '0')} to DLE EOT ${n}`);
+    }
+  }
+
+  return parseStatus(bytes);
+}
+
+module.exports = {
+  PrinterStatusError,
+  NoStatusReplyError,
+  statusCommand,
+  parseStatus,
+  describeStatus,
+  queryStatus,
+};
@@ -0,0 +1,50 @@
+/**
+ * USB printer device
+ *
+ * escpos-usb only writes to the printer. This adds status requests
+ * (DLE EOT), read back from the printer's bulk IN endpoint.
+ */
+const USB = require('escpos-usb');
+const { statusCommand, NoStatusReplyError } = require('./status');
+
+class UsbDevice extends USB {
+  constructor(vid, pid, { timeoutMs = 5000 } = {}) {
+    super(vid, pid);
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * The IN endpoint of the claimed printer interface (after open)
+   */
+  getInEndpoint() {
+    const endpoints = (this.device?.interfaces || []).flatMap(iface => iface.endpoints);
+    return endpoints.find(endpoint => endpoint.direction === 'in') || null;
+  }
+
+  /**
+   * Whether the printer can answer status requests
+   */
+  canRequestStatus() {
+    return Boolean(this.getInEndpoint());
+  }
+
+  /**
+   * Send DLE EOT n and read the one-byte reply
+   */
+  requestStatus(n, callback) {
+    const endpoint = this.getInEndpoint();
+    endpoint.timeout = this.timeoutMs;
+
+    this.write(statusCommand(n), err => {
+      if (err) return callback(err);
+
+      endpoint.transfer(64, (readErr, data) => {
+        if (readErr) return callback(new NoStatusReplyError(`No reply to status request: ${readErr.message}`));
+        if (!data || data.length === 0) return callback(new NoStatusReplyError('Empty reply to status request'));
+        callback(null, data[data.length - 1]);
+      });
+    });
+  }
+}
+
+module.exports = UsbDevice;
@@ -1,8 +1,22 @@
 #!/usr/bin/env node
 
-const { config, validateConfig } = require('./config');
+const {
+  config,
+  validateConfig,
+  getConfigErrors,
+  describeConfig,
+  configFile,
+  configProfile,
+} = require('./config');
 const PhabricatorService = require('./services/phabricator');
 const PrinterService = require('./services/printer');
+const DashboardService = require('./services/dashboard');
+const ScannerService = require('./services/scanner');
+const NotifierService = require('./services/notifier');
+const WebhookService = require('./services/webhook');
+const { describeStatus, NoStatusReplyError } = require('./devices/status');
+const { describePrinter } = require('./devices');
+const { describeRoute } = require('./utils/routing');
 
 // ASCII art banner
 const banner = `
@@ -18,45 +32,170 @@ class PhabPrint {
     this.dryRun = options.dryRun || false;
     this.phabricator = new PhabricatorService();
     this.printer = new PrinterService({ dryRun: this.dryRun });
+    this.notifier = new NotifierService();
     this.isRunning = false;
+
+    // Summary messages still being sent (they don't hold up the poll)
+    this.notifications = Promise.resolve();
+
+    // State of the last poll, shown on the dashboard
+    this.sprintTasks = [];
+    this.lastPoll = null;
+
+    // Polls and webhook events are processed one at a time
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run fn after any poll or webhook event already in progress
+   */
+  exclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
   }
 
   /**
    * Fetch and print sprint tasks
    */
-  async pollAndPrint() {
-    console.log('\n[POLL] Checking for new sprint tasks...');
+  pollAndPrint() {
+    return this.exclusive(async () => {
+      console.log('\n[POLL] Checking for new sprint tasks...');
 
-    try {
-      // Get tasks from Phabricator
-      const tasks = await this.phabricator.getSprintTasks();
-      console.log(`[INFO] Found ${tasks.length} tasks in sprint columns`);
+      try {
+        // Get tasks from Phabricator
+        const tasks = await this.phabricator.getSprintTasks();
+        console.log(`[INFO] Found ${tasks.length} tasks in sprint columns`);
+
+        this.sprintTasks = tasks.map(task => this.phabricator.formatTaskForPrint(task));
+        this.lastPoll = { at: new Date().toISOString(), taskCount: tasks.length, error: null };
 
-      if (tasks.length === 0) {
-        console.log('[INFO] No tasks to print');
-        return;
+        await this.printSprintTasks(tasks, this.printer.getBoardTaskIds());
+      } catch (err) {
+        this.lastPoll = { ...this.lastPoll, at: new Date().toISOString(), error: err.message };
+        console.error('[ERROR] Poll failed:', err.message);
+        if (process.env.DEBUG) {
+          console.error(err.stack);
+        }
       }
+    });
+  }
 
-      // Format tasks for printing
-      const formattedTasks = tasks.map(task =>
-        this.phabricator.formatTaskForPrint(task)
-      );
+  /**
+   * Fetch tasks changed in Phabricator (Herald webhook) and run them through
+   * the same filter and print path as a poll
+   */
+  handleTaskEvents(taskPhids) {
+    return this.exclusive(async () => {
+      console.log(`\n[WEBHOOK] Checking ${taskPhids.length} changed task(s)...`);
+
+      try {
+        const tasks = await this.phabricator.getTasksByPhids(taskPhids);
+        // Same rules as a poll: status, selection and filter rules
+        const reasons = await this.phabricator.getRemovalReasons(tasks);
+        const sprintTasks = tasks.filter(task => !reasons.get(`T${task.id}`));
+        await this.phabricator.loadTaskEdges(sprintTasks);
+
+        // Keep the dashboard list in sync with the changed tasks
+        const changedIds = new Set(tasks.map(task => `T${task.id}`));
+        this.sprintTasks = this.sprintTasks
+          .filter(task => !changedIds.has(task.id))
+          .concat(sprintTasks.map(task => this.phabricator.formatTaskForPrint(task)));
+
+        // Only the changed tasks' tickets can have left the sprint
+        const candidateIds = this.printer.getBoardTaskIds().filter(id => changedIds.has(id));
+        await this.printSprintTasks(sprintTasks, candidateIds);
+      } catch (err) {
+        console.error('[ERROR] Webhook update failed:', err.message);
+        if (process.env.DEBUG) {
+          console.error(err.stack);
+        }
+      }
+    });
+  }
+
+  /**
+   * Print new and updated tickets, the move slip, and the removal slip for
+   * the board tickets in candidateIds that are not among the sprint tasks
+   */
+  async printSprintTasks(tasks, candidateIds) {
+    // Format tasks for printing
+    const formattedTasks = tasks.map(task =>
+      this.phabricator.formatTaskForPrint(task)
+    );
+
+    if (tasks.length === 0) {
+      console.log('[INFO] No tasks to print');
+    } else {
+      // New sprints, and tickets carried over to one
+      const carried = this.printer.trackSprints(formattedTasks);
+      if (carried.length > 0) {
+        console.log(`[INFO] ${carried.length} task(s) carried over to a new sprint`);
+      }
 
       // Print new tasks
-      const printedCount = await this.printer.printTasks(
+      const results = await this.printer.printTasks(
         formattedTasks,
         config.polling.delayBetweenPrintsMs
       );
 
-      console.log(`[DONE] Printed ${printedCount} new task(s)`);
-    } catch (err) {
-      console.error('[ERROR] Poll failed:', err.message);
-      if (process.env.DEBUG) {
-        console.error(err.stack);
+      console.log(`[DONE] Printed ${results.printed.length} new task(s)`);
+
+      // One summary message per poll (not for simulated prints), sent in
+      // the background so a slow chat webhook doesn't delay the slips
+      if (!this.dryRun) {
+        const sending = this.notifier.notifyPoll(results).catch(err => {
+          console.error('[NOTIFY] Summary failed:', err.message);
+        });
+        this.notifications = Promise.all([this.notifications, sending]);
+      }
+
+      // One slip for every ticket that changed column since the last poll
+      const movedCount = await this.printer.printColumnMoves(formattedTasks);
+      if (movedCount > 0) {
+        console.log(`[DONE] Printed move slip for ${movedCount} task(s)`);
       }
+
+      // Tickets of tasks now routed to another printer come off their old board
+      const reroutedCount = await this.printer.printRerouted(formattedTasks);
+      if (reroutedCount > 0) {
+        console.log(`[DONE] Printed removal slip for ${reroutedCount} rerouted task(s)`);
+      }
+    }
+
+    // One slip for every ticket that left the sprint since the last poll
+    const removedCount = await this.archiveRemovedTasks(tasks, candidateIds);
+    if (removedCount > 0) {
+      console.log(`[DONE] Printed removal slip for ${removedCount} task(s)`);
     }
   }
 
+  /**
+   * Print a "REMOVE FROM BOARD" slip for tickets whose task is no longer
+   * in the sprint tasks (closed, moved out of the sprint columns, reassigned,
+   * filtered out)
+   */
+  async archiveRemovedTasks(tasks, candidateIds) {
+    const sprintIds = new Set(tasks.map(task => `T${task.id}`));
+    const goneIds = candidateIds.filter(id => !sprintIds.has(id));
+
+    if (goneIds.length === 0) {
+      return 0;
+    }
+
+    // Look up the current state to explain why each ticket has to go
+    const found = await this.phabricator.getTasksByIds(
+      goneIds.map(id => parseInt(id.slice(1), 10))
+    );
+    const reasons = await this.phabricator.getRemovalReasons(found);
+
+    const removals = goneIds
+      .map(id => ({ id, reason: reasons.has(id) ? reasons.get(id) : this.phabricator.getRemovalReason(null) }))
+      .filter(removal => removal.reason);
+
+    return this.printer.printRemovals(removals);
+  }
+
   /**
    * Start the polling loop
    */
@@ -65,9 +204,24 @@ class PhabPrint {
     validateConfig();
 
     console.log('[CONFIG] Phabricator URL:', config.phabricator.baseUrl);
-    console.log('[CONFIG] User PHID:', config.phabricator.userPhid);
-    console.log('[CONFIG] Poll interval:', config.polling.intervalMs / 1000, 'seconds');
-    console.log('[CONFIG] Sprint columns:', config.filters.sprintColumns.join(', '));
+    if (config.phabricator.userPhid) {
+      console.log('[CONFIG] User PHID:', config.phabricator.userPhid);
+    }
+    const pollIntervalMs = config.webhook.enabled ? config.webhook.fallbackPollMs : config.polling.intervalMs;
+    console.log('[CONFIG] Poll interval:', pollIntervalMs / 1000, 'seconds');
+    console.log('[CONFIG] Tasks:', this.phabricator.describeSelection());
+    if (config.filters.rules) {
+      console.log('[CONFIG] Task filter:', config.filters.rules);
+    } else {
+      console.log('[CONFIG] Sprint columns:', config.filters.sprintColumns.join(', '));
+    }
+    if (this.printer.printers.size > 1) {
+      this.printer.printers.forEach(printer => {
+        const isDefault = printer.name === this.printer.defaultPrinter ? ' (default)' : '';
+        console.log(`[CONFIG] Printer ${printer.name}${isDefault}: ${describePrinter(printer)}`);
+      });
+      config.routing.rules.forEach(rule => console.log('[CONFIG] Route:', describeRoute(rule)));
+    }
     if (this.dryRun) {
       console.log('[CONFIG] Mode: DRY-RUN (no actual printing)');
     }
@@ -75,6 +229,31 @@ class PhabPrint {
 
     this.isRunning = true;
 
+    // Optional web dashboard
+    if (config.dashboard.enabled) {
+      this.dashboard = new DashboardService(this);
+      await this.dashboard.start();
+    }
+
+    // Optional Herald webhook receiver (polling becomes the fallback)
+    if (config.webhook.enabled) {
+      this.webhook = new WebhookService(this);
+      await this.webhook.start();
+    }
+
+    // Optional scan-to-update mode
+    if (config.scanner.enabled) {
+      this.scanner = new ScannerService(this);
+      this.scanner.start();
+    }
+
+    // Print what was left in the queue by the last run
+    const pendingJobs = this.printer.queue.list().length;
+    if (pendingJobs > 0 && !this.dryRun) {
+      console.log(`[QUEUE] ${pendingJobs} job(s) left from the last run`);
+      await this.printer.processQueue();
+    }
+
     // Handle graceful shutdown
     process.on('SIGINT', () => this.stop());
     process.on('SIGTERM', () => this.stop());
@@ -84,17 +263,18 @@ class PhabPrint {
 
     // Check if running in one-shot mode
     if (process.argv.includes('--once')) {
+      await this.notifications;
       console.log('\n[INFO] One-shot mode, exiting...');
       process.exit(0);
     }
 
     // Start polling loop
-    console.log(`\n[INFO] Starting polling loop (every ${config.polling.intervalMs / 60000} minutes)`);
+    console.log(`\n[INFO] Starting polling loop (every ${pollIntervalMs / 60000} minutes)`);
     console.log('[INFO] Press Ctrl+C to stop\n');
 
     this.pollInterval = setInterval(
       () => this.pollAndPrint(),
-      config.polling.intervalMs
+      pollIntervalMs
     );
   }
 
@@ -109,6 +289,18 @@ class PhabPrint {
       clearInterval(this.pollInterval);
     }
 
+    if (this.dashboard) {
+      this.dashboard.stop();
+    }
+
+    if (this.webhook) {
+      this.webhook.stop();
+    }
+
+    if (this.scanner) {
+      this.scanner.stop();
+    }
+
     process.exit(0);
   }
 
@@ -118,31 +310,246 @@ class PhabPrint {
   clearCache() {
     this.printer.clearCache();
   }
-}
 
-// CLI handling
-async function main() {
-  const dryRun = process.argv.includes('--dry-run');
-  const app = new PhabPrint({ dryRun });
+  /**
+   * Show the printed history: every sprint, or the tasks of one sprint
+   * (key, name or part of the name)
+   */
+  showHistory(ref = null) {
+    const { history } = this.printer;
+    const time = value => (value ? new Date(value).toLocaleString() : '-');
 
-  // Handle CLI arguments
-  if (process.argv.includes('--clear-cache')) {
-    app.clearCache();
-    console.log('Cache cleared. Run again without --clear-cache to print all tasks.');
-    process.exit(0);
+    if (!ref) {
+      const sprints = history.list();
+      if (sprints.length === 0) {
+        console.log('No printed history yet');
+        return true;
+      }
+      sprints.forEach(sprint => {
+        console.log(`${sprint.name}\t${sprint.taskCount} task(s), ${sprint.printCount} print(s)\tfirst seen ${time(sprint.firstSeenAt)}, last print ${time(sprint.lastPrintedAt)}`);
+      });
+      return true;
+    }
+
+    const key = history.findSprint(ref);
+    if (!key) {
+      console.error(`No sprint matches "${ref}" (see --history)`);
+      return false;
+    }
+
+    console.log(`[HISTORY] ${history.getName(key)}${key === history.getName(key) ? '' : ` (${key})`}`);
+    history.getTasks(key).forEach(([taskId, record]) => {
+      const state = [
+        record.carriedFrom ? `carried over from ${history.getName(record.carriedFrom)}` : null,
+        record.carriedTo ? `carried over to ${history.getName(record.carriedTo)}` : null,
+        record.removed ? `removed: ${record.removed.reason}` : null,
+      ].filter(Boolean).join(', ');
+      console.log(`${taskId}\t${this.printer.truncate(record.title, 40)}\t${record.printCount} print(s), first ${time(record.firstPrintedAt)}, last ${time(record.lastPrintedAt)}${state ? `\t${state}` : ''}`);
+    });
+    return true;
   }
 
-  if (process.argv.includes('--test-printer')) {
-    console.log('[TEST] Printing test ticket...');
+  /**
+   * Forget one sprint's history and board tickets (key, name or part of the name)
+   */
+  resetSprint(ref) {
+    const key = this.printer.history.findSprint(ref);
+    if (!key) {
+      console.error(`No sprint matches "${ref}" (see --history)`);
+      return false;
+    }
+
+    const name = this.printer.history.getName(key);
+    const count = this.printer.resetSprint(key);
+    console.log(`[HISTORY] Reset ${name}: ${count} ticket(s) will print again`);
+    return true;
+  }
+
+  /**
+   * Print the sprint summary receipt for standup
+   */
+  async printSummary() {
+    validateConfig();
+
+    const tasks = await this.phabricator.getSprintTasks();
+    console.log(`[INFO] Found ${tasks.length} tasks in sprint columns`);
+
+    await this.printer.printSummary(tasks.map(task => this.phabricator.formatTaskForPrint(task)));
+
+    const queued = this.dryRun ? 0 : this.printer.queue.list().length;
+    if (queued > 0) {
+      console.log(`[QUEUE] Printer unavailable, the summary stays queued (${queued} job(s))`);
+    }
+  }
+
+  /**
+   * Print a task and all of its subtasks, each task followed by its
+   * subtasks (--print-tree)
+   */
+  async printTree(taskId) {
+    validateConfig();
+
+    const tasks = await this.phabricator.getTaskTree(taskId);
+    console.log(`[TREE] T${tasks[0].id} has ${tasks.length - 1} subtask(s)`);
+
+    const results = await this.printer.printInOrder(
+      tasks.map(task => this.phabricator.formatTaskForPrint(task)),
+      config.polling.delayBetweenPrintsMs
+    );
+    console.log(`[DONE] Printed ${results.printed.length} of ${tasks.length} ticket(s)`);
+
+    const queued = this.dryRun ? 0 : this.printer.queue.list().length;
+    if (queued > 0) {
+      console.log(`[QUEUE] Printer unavailable, ${queued} job(s) stay queued`);
+    }
+  }
+
+  /**
+   * Show the real-time status (paper, cover, online) of one printer, or of
+   * every printer without a name
+   * Returns whether the printers are ready to print
+   */
+  async showPrinterStatus(printerName = null) {
+    const names = printerName ? [this.printer.getPrinter(printerName).name] : [...this.printer.printers.keys()];
+
+    let ready = true;
+    for (const name of names) {
+      if (names.length > 1) console.log(`\n[PRINTER] ${name}`);
+      ready = await this.showOnePrinterStatus(name) && ready;
+    }
+    return ready;
+  }
+
+  /**
+   * Show the status of one printer, returns whether it is ready
+   */
+  async showOnePrinterStatus(printerName) {
+    const printer = this.printer.getPrinter(printerName);
+    console.log(`[PRINTER] Type: ${describePrinter(printer)}`);
+
+    let status;
     try {
-      await app.printer.printTest();
-      console.log('[TEST] Test ticket printed successfully!');
+      status = await this.printer.getPrinterStatus(printerName);
     } catch (err) {
-      console.error('[TEST] Failed:', err.message);
+      if (err instanceof NoStatusReplyError) {
+        console.log(`[PRINTER] Connected, but the printer does not report its status (${err.message})`);
+        return true;
+      }
+      console.error(`[PRINTER] Not reachable: ${err.message}`);
+      return false;
     }
-    process.exit(0);
+
+    console.log(`[PRINTER] Status: ${describeStatus(status)}`);
+    if (status) {
+      console.log(`  Online:         ${status.offline ? 'no' : 'yes'}`);
+      console.log(`  Paper:          ${status.paperOut ? 'out' : status.paperNearEnd ? 'near end' : 'ok'}`);
+      console.log(`  Cover:          ${status.coverOpen ? 'open' : 'closed'}`);
+      console.log(`  Error:          ${status.error ? 'yes' : 'no'}`);
+    }
+
+    return !status || status.ready;
   }
 
+  /**
+   * List the queued print jobs
+   */
+  listQueue() {
+    const jobs = this.printer.queue.list();
+    if (jobs.length === 0) {
+      console.log('Print queue is empty');
+      return;
+    }
+
+    jobs.forEach(job => {
+      // Group headers have no lines, their title is the header text
+      const title = job.type === 'ticket' ? job.task.title : (job.lines || []).join(' / ');
+      const printer = this.printer.printers.size > 1 ? `\t${this.printer.getJobPrinter(job)}` : '';
+      console.log(`${job.id}\t${job.type === 'ticket' ? job.task.id : job.title}\t${this.printer.truncate(title, 50)}${printer}`);
+      if (job.attempts > 0) {
+        const next = job.nextAttemptAt ? new Date(job.nextAttemptAt).toLocaleString() : 'now';
+        console.log(`\t${job.attempts} failed attempt(s), next ${next}: ${job.lastError}`);
+      }
+    });
+  }
+
+  /**
+   * Retry queued print jobs now (job ID, task ID or all)
+   */
+  async retryQueue(ref) {
+    const count = this.printer.resetJobs(ref);
+    console.log(`[QUEUE] Retrying ${count} job(s)...`);
+    await this.printer.processQueue();
+    console.log(`[QUEUE] ${this.printer.queue.list().length} job(s) left`);
+  }
+
+  /**
+   * Drop queued print jobs (job ID, task ID or all)
+   */
+  dropQueue(ref) {
+    const jobs = this.printer.dropJobs(ref);
+    jobs.forEach(job => console.log(`[QUEUE] Dropped ${this.printer.describeJob(job)}`));
+    if (jobs.length === 0) {
+      console.log(`[QUEUE] No job matches ${ref}`);
+    }
+  }
+}
+
+/**
+ * Value following a CLI flag, e.g. "T1234" for "--queue-drop T1234"
+ */
+function getArgValue(flag) {
+  const value = process.argv[process.argv.indexOf(flag) + 1];
+  return value && !value.startsWith('--') ? value : null;
+}
+
+/**
+ * Format a resolved setting for --check-config
+ */
+function formatSetting(value) {
+  if (value === undefined || value === null) return '(not set)';
+  if (Array.isArray(value)) return value.length > 0 ? value.map(formatSetting).join(', ') : '(none)';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Print the resolved configuration, validate it and check the
+ * Phabricator credentials with user.whoami
+ */
+async function checkConfig() {
+  console.log(`[CONFIG] Config file: ${configFile || '(none)'}`);
+  console.log(`[CONFIG] Profile: ${configProfile || '(none)'}`);
+  console.log('');
+  describeConfig().forEach(({ path, value, source }) => {
+    console.log(`  ${path.padEnd(34)} ${formatSetting(value)}  [${source}]`);
+  });
+  console.log('');
+
+  const errors = getConfigErrors();
+  if (errors.length > 0) {
+    console.error('Configuration errors:');
+    errors.forEach(e => console.error(`  - ${e}`));
+    return false;
+  }
+
+  try {
+    const user = await new PhabricatorService().whoami();
+    console.log(`[CHECK] Authenticated as ${user.userName} (${user.phid})`);
+    if (config.phabricator.userPhid && user.phid !== config.phabricator.userPhid) {
+      console.error(`[CHECK] YOUR_USER_PHID is ${config.phabricator.userPhid}, but the API token belongs to ${user.phid}`);
+      return false;
+    }
+  } catch (err) {
+    console.error(`[CHECK] Phabricator authentication failed: ${err.message}`);
+    return false;
+  }
+
+  console.log('[CHECK] Configuration OK');
+  return true;
+}
+
+// CLI handling
+async function main() {
   if (process.argv.includes('--help') || process.argv.includes('-h')) {
     console.log(`
 PhabPrint - Physical Kanban Printer for Phabricator
@@ -152,28 +559,172 @@ Usage:
   npm run print-once     Print once and exit
   npm run test-printer   Print a test ticket
   npm run dry-run        Fetch tasks and simulate printing (no printer needed)
+  npm run summary        Print a sprint summary receipt
 
 Options:
   --once          Run once and exit (no polling)
   --dry-run       Fetch from Phabricator but simulate printing (no printer needed)
-  --clear-cache   Clear printed tasks cache (will reprint all)
-  --test-printer  Print a test ticket
+  --clear-cache   Clear printed tasks cache and history (will reprint all)
+  --history [SPRINT]  Show the printed history (sprints, or the tasks of one sprint)
+  --reset-sprint SPRINT  Forget one sprint's history and tickets (they print again)
+  --test-printer [NAME]   Print a test ticket (on the default or the named printer)
+  --printer-status [NAME] Show the printer status (paper, cover, online; default: all printers)
+  --summary       Print a sprint summary receipt (points per column and priority)
+  --print-tree ID Print a task and all of its subtasks in order (e.g. T1234)
+  --queue         List queued print jobs
+  --queue-retry [ID]  Retry queued jobs now (job ID, task ID or all; default: all)
+  --queue-drop ID     Drop queued jobs without printing (job ID, task ID or all)
+  --dashboard     Start the local web dashboard
+  --scan          Read scanned action and ticket codes (stdin or SCAN_DEVICE)
+  --webhook       Receive Herald webhook calls (needs HERALD_HMAC_KEY)
+  --config FILE   Config file (default: phabprint.config.json/.yaml/.yml)
+  --profile NAME  Use a profile of the config file (e.g. office, home, demo)
+  --check-config  Show the resolved settings, validate them and test the API token
   --help, -h      Show this help
 
-Environment Variables:
-  PHAB_URL           Phabricator API URL
+Environment Variables (override the config file):
+  PHABPRINT_CONFIG   Config file (same as --config)
+  PHABPRINT_PROFILE  Config file profile (same as --profile)
+  PHAB_URL           Phabricator API URL (required)
   PHAB_API_TOKEN     Your Phabricator API token (required)
-  YOUR_USER_PHID     Your Phabricator user PHID (required)
+  YOUR_USER_PHID     Your Phabricator user PHID (required for your own tasks)
+  PHAB_MAX_RESULTS   Safety limit for paged searches (default: 1000)
+  PHAB_TIMEOUT_MS    Timeout per Conduit request in ms (default: 30000)
+  PHAB_RETRIES       Retries for network errors, HTTP 429 and 5xx, edits only on 429 (default: 3)
   POLL_INTERVAL_MS   Polling interval in ms (default: 900000 = 15 min)
   SPRINT_COLUMNS     Comma-separated column names (default: sprint,to do,in progress,doing)
-  PRINTER_TYPE       'usb' or 'network' (default: usb)
+  TASK_QUERY_KEY     Saved Maniphest query to fetch tasks with
+  TASK_PROJECTS      Project or board PHIDs to fetch tasks from (comma-separated)
+  TASK_ASSIGNEE      'me', 'team', 'any' or 'auto' (default: auto = team, else me without query/projects)
+  TEAM_MEMBERS       Team mode: user PHIDs of the team (comma-separated)
+  TEAM_PROJECT       Team mode: project PHID whose members are the team
+  TASK_UNASSIGNED    'true' to also print unassigned tasks (default: false)
+  TASK_FILTER        Filter expression instead of SPRINT_COLUMNS, e.g. "priority >= High"
+  PRINTER_TYPE       'usb', 'network' or 'file' (default: usb)
   PRINTER_HOST       Network printer hostname (if using network)
   PRINTER_PORT       Network printer port (default: 9100)
+  PRINTER_TIMEOUT_MS Printer connection and status timeout (default: 5000)
+  PRINTER_STATUS_CHECK 'false' to skip status checks before and after jobs (default: true)
+  PRINTER_OUTPUT_DIR Output directory for the file printer (default: output)
   PAPER_WIDTH        Paper width in mm: 58 or 80 (default: 58)
+  PRINTERS           Named printers, e.g. backend=network:10.0.0.50@80,mobile=usb:0x0416:0x5011
+  PRINT_ROUTES       Printer per project, assignee or column, e.g. project:Mobile=mobile
+  DEFAULT_PRINTER    Printer for tasks no route matches (default: the first printer)
+  PRINT_RETRY_DELAY_MS     First retry of a failed print job (default: 10000)
+  PRINT_RETRY_MAX_DELAY_MS Longest retry delay (default: 300000 = 5 min)
+  SPRINT_PROJECT_KEYWORDS Projects that count as sprints besides milestones, e.g. sprint
+  CARRY_OVER_REPRINT 'true' to reprint tickets carried over to a new sprint (default: false)
+  DASHBOARD          'true' to start the web dashboard (default: false)
+  DASHBOARD_HOST     Dashboard bind address (default: 127.0.0.1)
+  DASHBOARD_PORT     Dashboard port (default: 3000)
+  HERALD_WEBHOOK     'true' to receive Herald webhook calls (default: false)
+  HERALD_HMAC_KEY    HMAC key of the Phabricator webhook (required for webhooks)
+  HERALD_WEBHOOK_HOST Webhook bind address (default: 0.0.0.0)
+  HERALD_WEBHOOK_PORT Webhook port (default: 3001)
+  HERALD_DEBOUNCE_MS Wait for calls about a task to settle (default: 5000)
+  HERALD_FALLBACK_POLL_MS Polling interval with webhooks (default: 3600000 = 1 hour)
+  NOTIFY_WEBHOOKS    Webhooks for print summaries (slack=URL,discord=URL,json=URL)
+  SCANNER            'true' to read scanned action and ticket codes (default: false)
+  SCAN_DEVICE        Read scanned codes from this device instead of stdin
+  SCAN_ACTIONS       Action codes (default: DONE:status=resolved,DOING:column=Doing,TODO:column=To Do)
+  PRINT_QR_CODE      Print a QR code linking to the task (default: true)
+  TICKET_LAYOUT      Ticket layout JSON file (default: layouts/default.json)
+  CODE_PAGE          Printer code page, e.g. cp437, cp858, cp1252, utf-8 (default: cp437)
+  CODE_PAGE_TABLE    ESC t table number of the code page (default: Epson numbering)
+  TITLE_MAX_LINES    Lines the title is word-wrapped over (default: 3)
+  PRINT_DESCRIPTION  'true' to print a description excerpt (default: false)
+  DESCRIPTION_MAX_LINES Lines of the description excerpt (default: 4)
+  PRINT_PARENT       'false' to leave the parent task off tickets (default: true)
+  PRINT_SUBTASKS     'true' to print a subtask checklist on epics (default: false)
+  SUBTASKS_MAX_LINES Subtasks listed on a ticket (default: 10)
+  REPRINT_ON_CHANGE  Fields that trigger an UPDATED ticket (default: title,priority,points)
+  OWNER_BAND         Owner band on tickets: 'name', 'initials', 'none' or 'auto' (default: auto)
+  PRINT_SORT         Print order, e.g. column,priority,id ('-' reverses a key)
+  PRINT_GROUP_BY     'none', 'column', 'priority', 'project' or 'owner' (default: none)
+  CUT_BETWEEN_GROUPS 'true' to cut only after the last ticket of a group (default: false)
 `);
     process.exit(0);
   }
 
+  if (process.argv.includes('--check-config')) {
+    process.exit(await checkConfig() ? 0 : 1);
+  }
+
+  validateConfig({ phabricator: false });
+
+  const dryRun = process.argv.includes('--dry-run');
+  const app = new PhabPrint({ dryRun });
+
+  // Handle CLI arguments
+  if (process.argv.includes('--clear-cache')) {
+    app.clearCache();
+    console.log('Cache cleared. Run again without --clear-cache to print all tasks.');
+    process.exit(0);
+  }
+
+  if (process.argv.includes('--history')) {
+    process.exit(app.showHistory(getArgValue('--history')) ? 0 : 1);
+  }
+
+  if (process.argv.includes('--reset-sprint')) {
+    const ref = getArgValue('--reset-sprint');
+    if (!ref) {
+      console.error('Usage: --reset-sprint <sprint name or PHID>');
+      process.exit(1);
+    }
+    process.exit(app.resetSprint(ref) ? 0 : 1);
+  }
+
+  if (process.argv.includes('--summary')) {
+    await app.printSummary();
+    process.exit(0);
+  }
+
+  if (process.argv.includes('--print-tree')) {
+    const taskId = getArgValue('--print-tree');
+    if (!/^T?\d+$/i.test(taskId || '')) {
+      console.error('Usage: --print-tree <task ID>, e.g. --print-tree T1234');
+      process.exit(1);
+    }
+    await app.printTree(taskId);
+    process.exit(0);
+  }
+
+  if (process.argv.includes('--queue')) {
+    app.listQueue();
+    process.exit(0);
+  }
+
+  if (process.argv.includes('--queue-retry')) {
+    await app.retryQueue(getArgValue('--queue-retry') || 'all');
+    process.exit(0);
+  }
+
+  if (process.argv.includes('--queue-drop')) {
+    const ref = getArgValue('--queue-drop');
+    if (!ref) {
+      console.error('Usage: --queue-drop <job ID|task ID|all>');
+      process.exit(1);
+    }
+    app.dropQueue(ref);
+    process.exit(0);
+  }
+
+  if (process.argv.includes('--printer-status')) {
+    process.exit(await app.showPrinterStatus(getArgValue('--printer-status')) ? 0 : 1);
+  }
+
+  if (process.argv.includes('--test-printer')) {
+    console.log('[TEST] Printing test ticket...');
+    try {
+      await app.printer.printTest(getArgValue('--test-printer') || undefined);
+      console.log('[TEST] Test ticket printed successfully!');
+    } catch (err) {
+      console.error('[TEST] Failed:', err.message);
+    }
+    process.exit(0);
+  }
+
   await app.start();
 }
 
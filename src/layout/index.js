@@ -0,0 +1,161 @@
+/**
+ * Ticket layouts
+ *
+ * A layout is a JSON file listing the lines of a ticket. buildTicket()
+ * resolves it against a task into a flat list of print items, which the
+ * ESC/POS and console renderers (./renderers.js) then draw, so real and
+ * simulated tickets always come from the same definition.
+ *
+ * Layout lines (all accept "if" / "unless" with a context field name):
+ *   { "text": "Priority: {priority}", "align": "left", "bold": true,
+ *     "size": [1, 1], "font": "a", "truncate": true }
+ *   { "text": "{ownerBand}", "reverse": true }
+ *                                  white on black, as a full-width band
+ *   { "text": "{title}", "wrap": true, "maxLines": 3 }
+ *                                  word-wrapped over several lines ("maxLines"
+ *                                  may also be a placeholder, e.g. "{titleMaxLines}")
+ *   { "lines": "changeLines" }     one text line per entry of a list field
+ *   { "separator": true }          full-width rule ("char" to override)
+ *   { "blank": true }              empty line
+ *   { "qr": "{url}", "align": "center" }
+ *   { "feed": 4 }                  feed paper (not shown in dry-run)
+ */
+const fs = require('fs');
+const path = require('path');
+const { truncate, wrapText } = require('./wrap');
+
+const DEFAULT_LAYOUT = path.join(__dirname, '../../layouts/default.json');
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+const LINE_TYPES = ['text', 'lines', 'separator', 'blank', 'qr', 'feed'];
+
+/**
+ * Load and validate a layout file
+ */
+function loadLayout(file = DEFAULT_LAYOUT) {
+  let layout;
+  try {
+    layout = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not load ticket layout ${file}: ${err.message}`);
+  }
+
+  const errors = validateLayout(layout);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ticket layout ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return layout;
+}
+
+/**
+ * List problems with a layout definition (empty when valid)
+ */
+function validateLayout(layout) {
+  if (!layout || !Array.isArray(layout.lines)) {
+    return ['"lines" must be an array'];
+  }
+
+  const errors = [];
+  layout.lines.forEach((line, index) => {
+    const types = LINE_TYPES.filter(type => type in line);
+    if (types.length !== 1) {
+      errors.push(`line ${index + 1}: expected exactly one of ${LINE_TYPES.join(', ')}`);
+    }
+    if (line.align && !ALIGNMENTS.includes(line.align)) {
+      errors.push(`line ${index + 1}: align must be one of ${ALIGNMENTS.join(', ')}`);
+    }
+    if (line.size && !(Array.isArray(line.size) && line.size.length === 2)) {
+      errors.push(`line ${index + 1}: size must be [width, height]`);
+    }
+    if ('maxLines' in line && !(Number.isInteger(line.maxLines) && line.maxLines > 0) && typeof line.maxLines !== 'string') {
+      errors.push(`line ${index + 1}: maxLines must be a positive number or a placeholder`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check a line's "if" / "unless" condition against the context
+ */
+function isVisible(line, context) {
+  const isSet = field => {
+    const value = context[field];
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  };
+
+  if (line.if && !isSet(line.if)) return false;
+  if (line.unless && isSet(line.unless)) return false;
+  return true;
+}
+
+/**
+ * Replace {field} placeholders with context values
+ */
+function fillPlaceholders(template, context) {
+  return String(template).replace(/\{(\w+)\}/g, (match, field) => {
+    const value = context[field];
+    if (Array.isArray(value)) return value.join(', ');
+    return value == null ? '' : String(value);
+  });
+}
+
+/**
+ * Fit a text to the line width: word-wrapped, truncated or as is
+ */
+function fitText(text, line, width, context) {
+  if (line.wrap) {
+    const maxLines = parseInt(fillPlaceholders(line.maxLines ?? '', context), 10) || Infinity;
+    return wrapText(text, width, { maxLines });
+  }
+  return [line.truncate ? truncate(text, width) : text];
+}
+
+/**
+ * Resolve a layout against a context into print items
+ */
+function buildTicket(layout, context, { maxWidth }) {
+  const items = [];
+
+  layout.lines.filter(line => isVisible(line, context)).forEach(line => {
+    const style = {
+      align: line.align || 'left',
+      bold: Boolean(line.bold),
+      size: line.size || [1, 1],
+      font: line.font || 'a',
+      reverse: Boolean(line.reverse),
+    };
+    const width = Math.floor(maxWidth / style.size[0]);
+
+    if ('text' in line) {
+      fitText(fillPlaceholders(line.text, context), line, width, context).forEach(text => {
+        items.push({ type: 'text', ...style, text });
+      });
+    } else if ('lines' in line) {
+      (context[line.lines] || []).forEach(entry => {
+        fitText(entry, line, width, context).forEach(text => {
+          items.push({ type: 'text', ...style, text });
+        });
+      });
+    } else if ('separator' in line) {
+      items.push({ type: 'separator', ...style, char: line.char || '─' });
+    } else if ('blank' in line) {
+      items.push({ type: 'text', ...style, text: '' });
+    } else if ('qr' in line) {
+      items.push({ type: 'qr', align: style.align, data: fillPlaceholders(line.qr, context) });
+    } else if ('feed' in line) {
+      items.push({ type: 'feed', lines: line.feed });
+    }
+  });
+
+  return items;
+}
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  loadLayout,
+  validateLayout,
+  fillPlaceholders,
+  buildTicket,
+};
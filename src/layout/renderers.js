@@ -0,0 +1,127 @@
+/**
+ * Renderers for the print items produced by buildTicket()
+ *
+ * renderEscpos() queues the items on an escpos Printer, renderConsole()
+ * draws them as a boxed ticket for dry-run mode.
+ */
+const { qrMatrix, qrModuleSize, qrCodeCommand, renderQrBlocks } = require('../utils/qrcode');
+const { textWidth, hardWrap } = require('./wrap');
+
+const ESCPOS_ALIGN = { left: 'lt', center: 'ct', right: 'rt' };
+
+/**
+ * Draw text at a character width multiplier in the console
+ * (size [2, 2] "T123" becomes "T 1 2 3 ", as wide as on paper)
+ */
+function widen(text, factor) {
+  if (factor <= 1) return text;
+  return [...text].map(char => char + ' '.repeat(factor - 1)).join('');
+}
+
+/**
+ * Pad a text with fill to a width, keeping its alignment
+ * (reverse lines are printed as a full-width band)
+ */
+function padBand(text, width, align, fill = ' ') {
+  const space = Math.max(0, width - textWidth(text));
+  const left = { left: 0, center: Math.floor(space / 2), right: space }[align];
+  return fill.repeat(left) + text + fill.repeat(space - left);
+}
+
+/**
+ * Queue print items on an escpos Printer
+ */
+function renderEscpos(printer, items, { maxWidth, paperWidth }) {
+  items.forEach(item => {
+    switch (item.type) {
+      case 'text':
+      case 'separator': {
+        const width = Math.floor(maxWidth / item.size[0]);
+        let text = item.type === 'text' ? item.text : item.char.repeat(width);
+        if (item.reverse) text = padBand(text, width, item.align);
+        printer
+          .font(item.font)
+          .align(ESCPOS_ALIGN[item.align])
+          // escpos 3.x takes 0-based magnification (size(0, 0) is normal text)
+          .size(item.size[0] - 1, item.size[1] - 1)
+          .style(item.bold ? 'b' : 'normal')
+          .setReverseColors(Boolean(item.reverse))
+          .text(text);
+        break;
+      }
+
+      case 'qr': {
+        const moduleSize = qrModuleSize(qrMatrix(item.data).length, paperWidth);
+        printer
+          .align(ESCPOS_ALIGN[item.align])
+          .raw(qrCodeCommand(item.data, { moduleSize }));
+        break;
+      }
+
+      case 'feed':
+        printer.feed(item.lines);
+        break;
+    }
+  });
+
+  // Leave the printer in its default text mode
+  printer.font('a').align('lt').size(0, 0).style('normal').setReverseColors(false);
+}
+
+/**
+ * Render print items as the lines of a boxed console ticket
+ */
+function renderConsole(items, { maxWidth }) {
+  const inner = maxWidth + 2;
+  const pad = (text, align) => {
+    const space = Math.max(0, inner - textWidth(text));
+    if (align === 'center') {
+      const left = Math.floor(space / 2);
+      return ' '.repeat(left) + text + ' '.repeat(space - left);
+    }
+    if (align === 'right') return ' '.repeat(Math.max(0, space - 1)) + text + (space > 0 ? ' ' : '');
+    return (space > 0 ? ' ' : '') + text + ' '.repeat(Math.max(0, space - 1));
+  };
+
+  const lines = ['┌' + '─'.repeat(inner) + '┐'];
+
+  items.forEach(item => {
+    switch (item.type) {
+      case 'text':
+        hardWrap(item.text, Math.floor(maxWidth / item.size[0])).forEach(text => {
+          let line = widen(text, item.size[0]);
+          // Reverse lines are drawn as a band of blocks around the text
+          if (item.reverse) {
+            if (textWidth(line) + 2 <= maxWidth) line = ` ${line} `;
+            line = padBand(line, maxWidth, item.align, '█');
+          }
+          lines.push('│' + pad(line, item.align) + '│');
+        });
+        break;
+
+      case 'separator':
+        lines.push('│' + pad(item.char.repeat(Math.floor(maxWidth / item.size[0]) * item.size[0]), item.align) + '│');
+        break;
+
+      case 'qr': {
+        // Same matrix the printer renders; codes wider than the box (long
+        // URLs on narrow paper) are shown as their text instead
+        const blocks = renderQrBlocks(qrMatrix(item.data));
+        const rows = textWidth(blocks[0]) <= inner ? blocks : hardWrap(item.data, maxWidth);
+        rows.forEach(text => {
+          lines.push('│' + pad(text, item.align) + '│');
+        });
+        break;
+      }
+    }
+  });
+
+  lines.push('└' + '─'.repeat(inner) + '┘');
+
+  return lines;
+}
+
+module.exports = {
+  renderEscpos,
+  renderConsole,
+};
@@ -0,0 +1,120 @@
+/**
+ * Text wrapping for tickets
+ *
+ * Widths are counted in printed columns: one column per character, two for
+ * full-width (CJK) characters. Callers divide the paper width by the text
+ * size first, so double-width size [2, 2] text gets half the columns.
+ */
+
+// Full-width ranges (Hangul Jamo, CJK, Hangul syllables, full-width forms)
+const WIDE_RANGES = [
+  [0x1100, 0x115f],
+  [0x2e80, 0x303e],
+  [0x3041, 0x33ff],
+  [0x3400, 0x4dbf],
+  [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf],
+  [0xac00, 0xd7a3],
+  [0xf900, 0xfaff],
+  [0xfe30, 0xfe4f],
+  [0xff00, 0xff60],
+  [0xffe0, 0xffe6],
+  [0x20000, 0x3fffd],
+];
+
+/**
+ * Printed columns of a single character
+ */
+function charWidth(char) {
+  const code = char.codePointAt(0);
+  return WIDE_RANGES.some(([from, to]) => code >= from && code <= to) ? 2 : 1;
+}
+
+/**
+ * Printed columns of a string
+ */
+function textWidth(text) {
+  let width = 0;
+  for (const char of text) width += charWidth(char);
+  return width;
+}
+
+/**
+ * Longest prefix of text that fits in width columns
+ */
+function sliceToWidth(text, width) {
+  let result = '';
+  let used = 0;
+  for (const char of text) {
+    const w = charWidth(char);
+    if (used + w > width) break;
+    result += char;
+    used += w;
+  }
+  return result;
+}
+
+/**
+ * Shorten a line to the given width, ending with "..."
+ */
+function truncate(text, width) {
+  if (textWidth(text) <= width) return text;
+  return sliceToWidth(text, Math.max(0, width - 3)) + '...';
+}
+
+/**
+ * Split a line into chunks of at most `width` columns,
+ * the way the printer wraps text that is too long
+ */
+function hardWrap(text, width) {
+  const chunks = [];
+  let rest = text;
+  while (textWidth(rest) > width) {
+    const chunk = sliceToWidth(rest, width) || [...rest][0];
+    chunks.push(chunk);
+    rest = rest.slice(chunk.length);
+  }
+  chunks.push(rest);
+  return chunks;
+}
+
+/**
+ * Word-wrap text to lines of at most `width` columns. Newlines start a new
+ * line, words longer than a line are split. With maxLines, the last line
+ * ends with "..." when text was cut off.
+ */
+function wrapText(text, width, { maxLines = Infinity } = {}) {
+  const lines = [];
+
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate) <= width) {
+        line = candidate;
+        return;
+      }
+
+      if (line) lines.push(line);
+      const chunks = hardWrap(word, width);
+      line = chunks.pop();
+      lines.push(...chunks);
+    });
+    lines.push(line);
+  });
+
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  const last = kept[maxLines - 1];
+  kept[maxLines - 1] = textWidth(last) + 3 <= width ? `${last}...` : truncate(`${last}...`, width);
+  return kept;
+}
+
+module.exports = {
+  charWidth,
+  textWidth,
+  truncate,
+  hardWrap,
+  wrapText,
+};
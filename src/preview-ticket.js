@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+/**
+ * Turn a captured ESC/POS .bin file into an HTML preview
+ * Run with: npm run preview -- output/T12345.bin [output.html]
+ */
+
+const fs = require('fs');
+const { config } = require('./config');
+const { decode } = require('./preview/decoder');
+const { toHtml } = require('./preview/html');
+
+const [input, output = input && input.replace(/\.bin$/, '') + '.html'] = process.argv.slice(2);
+
+if (!input) {
+  console.log('Usage: npm run preview -- <file.bin> [output.html]');
+  process.exit(1);
+}
+
+try {
+  const result = decode(fs.readFileSync(input));
+  fs.writeFileSync(output, toHtml(result, { title: input, paperWidth: config.printer.paperWidth }), 'utf8');
+
+  console.log(`Preview written to ${output}`);
+  if (result.unknown.length > 0) {
+    console.log(`Skipped ${result.unknown.length} unsupported command(s)`);
+  }
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
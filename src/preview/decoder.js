@@ -0,0 +1,212 @@
+/**
+ * ESC/POS decoder
+ *
+ * Turns a raw ESC/POS byte stream back into a list of blocks (text lines
+ * with their style, QR codes, feeds and cuts) that can be rendered as a
+ * preview. Only the commands a receipt printer needs for tickets are
+ * understood; anything else is skipped and counted in `unknown`.
+ * Text is decoded with the code page selected by ESC t, or with `encoding`
+ * when no code page was selected.
+ */
+const iconv = require('iconv-lite');
+const { getCodePageByTable } = require('../utils/codepage');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const DLE = 0x10;
+const FS = 0x1c;
+const LF = 0x0a;
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+
+/**
+ * Default print mode after ESC @
+ */
+function initialState() {
+  return {
+    align: 'left',
+    bold: false,
+    underline: false,
+    italic: false,
+    reverse: false,
+    font: 'a',
+    width: 1,
+    height: 1,
+    codePage: null,
+  };
+}
+
+/**
+ * Decode an ESC/POS byte stream into preview blocks
+ */
+function decode(buffer, { encoding = 'utf-8' } = {}) {
+  const blocks = [];
+  const unknown = [];
+  const qr = { moduleSize: 3, data: null };
+  let state = initialState();
+  let line = [];
+  let i = 0;
+
+  const byte = offset => buffer[i + offset];
+
+  // Emit the current line with the style in effect when it is printed
+  const flushLine = () => {
+    const codePage = state.codePage === null ? null : getCodePageByTable(state.codePage);
+    const text = codePage
+      ? iconv.decode(Buffer.from(line), codePage.encoding)
+      : new TextDecoder(encoding).decode(Buffer.from(line));
+    blocks.push({ type: 'text', text, ...state });
+    line = [];
+  };
+
+  while (i < buffer.length) {
+    const b = buffer[i];
+
+    if (b === LF) {
+      flushLine();
+      i += 1;
+    } else if (b === ESC) {
+      const cmd = String.fromCharCode(byte(1));
+      switch (cmd) {
+        case '@':
+          state = initialState();
+          i += 2;
+          break;
+        case 'M':
+          state.font = ['a', 'b', 'c'][byte(2) % 48] || 'a';
+          i += 3;
+          break;
+        case 'a':
+          state.align = ALIGNMENTS[byte(2) % 48] || 'left';
+          i += 3;
+          break;
+        case 'E':
+        case 'G':
+          state.bold = (byte(2) & 1) === 1;
+          i += 3;
+          break;
+        case '-':
+          state.underline = (byte(2) % 48) > 0;
+          i += 3;
+          break;
+        case '4':
+        case '5':
+          state.italic = cmd === '4';
+          i += 2;
+          break;
+        case '!': {
+          const mode = byte(2);
+          state.font = mode & 0x01 ? 'b' : 'a';
+          state.bold = Boolean(mode & 0x08);
+          state.height = mode & 0x10 ? 2 : 1;
+          state.width = mode & 0x20 ? 2 : 1;
+          state.underline = Boolean(mode & 0x80);
+          i += 3;
+          break;
+        }
+        case 'd':
+          if (line.length > 0) flushLine();
+          blocks.push({ type: 'feed', lines: byte(2) });
+          i += 3;
+          break;
+        case 't':
+          state.codePage = byte(2);
+          i += 3;
+          break;
+        case '2':
+        case '=':
+          i += cmd === '2' ? 2 : 3;
+          break;
+        case '3':
+        case ' ':
+        case 'J':
+          i += 3;
+          break;
+        case 'B':
+          i += 4;
+          break;
+        case 'p':
+          i += 5;
+          break;
+        default:
+          unknown.push({ offset: i, command: `ESC ${cmd}` });
+          i += 2;
+      }
+    } else if (b === GS) {
+      const cmd = String.fromCharCode(byte(1));
+      switch (cmd) {
+        case '!':
+          state.width = (byte(2) >> 4) + 1;
+          state.height = (byte(2) & 0x0f) + 1;
+          i += 3;
+          break;
+        case 'B':
+          state.reverse = (byte(2) & 1) === 1;
+          i += 3;
+          break;
+        case 'V': {
+          const mode = byte(2);
+          if (line.length > 0) flushLine();
+          blocks.push({ type: 'cut', partial: mode === 1 || mode === 49 || mode === 66 });
+          i += mode >= 65 ? 4 : 3;
+          break;
+        }
+        case '(': {
+          const length = byte(3) | (byte(4) << 8);
+          if (String.fromCharCode(byte(2)) === 'k' && byte(5) === 0x31) {
+            const fn = byte(6);
+            const params = buffer.subarray(i + 7, i + 5 + length);
+            if (fn === 0x43) qr.moduleSize = params[0];
+            if (fn === 0x50) qr.data = params.subarray(1).toString('utf8');
+            if (fn === 0x51 && qr.data != null) {
+              blocks.push({ type: 'qr', data: qr.data, moduleSize: qr.moduleSize, align: state.align });
+            }
+          }
+          i += 5 + length;
+          break;
+        }
+        case 'v': {
+          // GS v 0 m xL xH yL yH d1...dk (raster image)
+          const widthBytes = byte(4) | (byte(5) << 8);
+          const height = byte(6) | (byte(7) << 8);
+          blocks.push({ type: 'image', width: widthBytes * 8, height, align: state.align });
+          i += 8 + widthBytes * height;
+          break;
+        }
+        case 'L':
+        case 'W':
+          i += 4;
+          break;
+        case 'h':
+        case 'w':
+        case 'H':
+        case 'f':
+        case 'r':
+        case 'a':
+          i += 3;
+          break;
+        default:
+          unknown.push({ offset: i, command: `GS ${cmd}` });
+          i += 2;
+      }
+    } else if (b === DLE) {
+      // DLE EOT n (status request)
+      i += 3;
+    } else if (b === FS) {
+      // FS & / FS . (Kanji mode on / off)
+      i += 2;
+    } else if (b < 0x20) {
+      // Other control characters (CR, HT, ...) do not print
+      i += 1;
+    } else {
+      line.push(b);
+      i += 1;
+    }
+  }
+
+  if (line.length > 0) flushLine();
+
+  return { blocks, unknown };
+}
+
+module.exports = { decode };
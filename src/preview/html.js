@@ -0,0 +1,128 @@
+/**
+ * HTML preview for decoded ESC/POS output
+ *
+ * Draws the blocks from decode() on a paper strip at printer scale
+ * (1 CSS pixel per printer dot), keeping sizes, bold, alignment,
+ * QR codes and cut marks.
+ */
+const { qrMatrix, PRINTABLE_DOTS } = require('../utils/qrcode');
+
+// Character cell in dots: font A is 12x24, font B is 9x17
+const FONTS = {
+  a: { width: 12, height: 24 },
+  b: { width: 9, height: 17 },
+  c: { width: 9, height: 17 },
+};
+
+// Monospace glyphs are about 0.6em wide
+const GLYPH_RATIO = 0.6;
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a text line, scaling the character cell by the size multipliers
+ */
+function renderText(block) {
+  const font = FONTS[block.font] || FONTS.a;
+  const fontSize = (font.width / GLYPH_RATIO) * block.height;
+  const letterSpacing = font.width * block.width - font.width * block.height;
+
+  const style = [
+    `text-align:${block.align}`,
+    `font-size:${fontSize}px`,
+    `line-height:${font.height * block.height}px`,
+    `letter-spacing:${letterSpacing}px`,
+    block.bold ? 'font-weight:bold' : '',
+    block.underline ? 'text-decoration:underline' : '',
+    block.italic ? 'font-style:italic' : '',
+  ].filter(Boolean).join(';');
+
+  const text = block.text === '' ? '&nbsp;' : escapeHtml(block.text);
+  const cls = block.reverse ? ' class="reverse"' : '';
+
+  return `<div style="${style}"><span${cls}>${text}</span></div>`;
+}
+
+/**
+ * Render a QR code as an SVG with the printer's module size
+ */
+function renderQr(block) {
+  const matrix = qrMatrix(block.data);
+  const size = matrix.length * block.moduleSize;
+  const rects = [];
+
+  matrix.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        rects.push(`<rect x="${x}" y="${y}" width="1" height="1"/>`);
+      }
+    });
+  });
+
+  return `<div style="text-align:${block.align}">` +
+    `<svg width="${size}" height="${size}" viewBox="0 0 ${matrix.length} ${matrix.length}" shape-rendering="crispEdges">` +
+    `<title>${escapeHtml(block.data)}</title>${rects.join('')}</svg></div>`;
+}
+
+/**
+ * Render decoded blocks as a standalone HTML page
+ */
+function toHtml({ blocks, unknown = [] }, { title = 'Ticket preview', paperWidth = 58 } = {}) {
+  const dots = PRINTABLE_DOTS[paperWidth] || PRINTABLE_DOTS[58];
+
+  const body = blocks.map(block => {
+    switch (block.type) {
+      case 'text':
+        return renderText(block);
+      case 'qr':
+        return renderQr(block);
+      case 'feed':
+        return `<div style="height:${block.lines * FONTS.a.height}px"></div>`;
+      case 'image':
+        return `<div class="image" style="width:${block.width}px;height:${block.height}px">image ${block.width}x${block.height}</div>`;
+      case 'cut':
+        return `<div class="cut">${block.partial ? 'partial cut' : 'cut'}</div>`;
+      default:
+        return '';
+    }
+  }).join('\n');
+
+  const warning = unknown.length > 0
+    ? `<p class="warning">${unknown.length} unsupported command(s): ${escapeHtml(unknown.map(u => u.command).join(', '))}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { background: #ddd; font-family: sans-serif; }
+  .paper { width: ${dots}px; margin: 20px auto; padding: 16px 0; background: #fff; box-shadow: 0 1px 4px rgba(0,0,0,.3); }
+  .paper div { font-family: "Courier New", monospace; white-space: pre-wrap; overflow-wrap: anywhere; }
+  .reverse { background: #000; color: #fff; }
+  .cut { margin: 12px 0; border-top: 2px dashed #c00; color: #c00; font: 11px sans-serif !important; text-align: center; }
+  .image { margin: 0 auto; background: repeating-linear-gradient(45deg, #eee, #eee 4px, #ccc 4px, #ccc 8px); font: 11px sans-serif !important; }
+  .warning { color: #c00; text-align: center; }
+</style>
+</head>
+<body>
+<div class="paper">
+${body}
+</div>
+${warning}
+</body>
+</html>
+`;
+}
+
+module.exports = { toHtml, escapeHtml };
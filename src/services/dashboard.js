@@ -0,0 +1,318 @@
+/**
+ * Local web dashboard
+ *
+ * Small built-in HTTP server (no framework) that lists the sprint tasks from
+ * the last poll with their printed state, shows ticket previews and lets you
+ * print, reprint or mark a single task as printed without clearing the cache.
+ *
+ * Routes:
+ *   GET  /                          Dashboard page
+ *   GET  /api/status                Poll, printer and task state as JSON
+ *   GET  /tasks/:id/preview         Ticket preview
+ *   POST /tasks/:id/print           Print (skipped if already printed)
+ *   POST /tasks/:id/reprint         Print a fresh ticket
+ *   POST /tasks/:id/mark-printed    Mark as printed without printing
+ *   POST /poll                      Poll Phabricator now
+ *
+ * POSTs are only accepted from the dashboard's own pages: their Origin (or,
+ * without one, their Host) must be the dashboard's address, so other sites
+ * open in the browser can't trigger prints.
+ */
+const http = require('http');
+const os = require('os');
+const { config } = require('../config');
+const { escapeHtml } = require('../preview/html');
+
+const TASK_ROUTE = /^\/tasks\/(T\d+)\/(preview|print|reprint|mark-printed)$/;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::', ''];
+
+class DashboardService {
+  constructor(app) {
+    this.app = app;
+    this.server = null;
+  }
+
+  /**
+   * Start listening on the configured host and port
+   */
+  start() {
+    const { host, port } = config.dashboard;
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(err => {
+        console.error('[DASHBOARD] Request failed:', err.message);
+        this.send(res, 500, 'text/plain', `Error: ${err.message}`);
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        console.log(`[DASHBOARD] Listening on http://${host}:${port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   */
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Route a request
+   */
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && pathname === '/') {
+      return this.send(res, 200, 'text/html', this.renderPage());
+    }
+
+    if (req.method === 'GET' && pathname === '/api/status') {
+      return this.send(res, 200, 'application/json', JSON.stringify(this.getStatus(), null, 2));
+    }
+
+    if (req.method === 'POST' && !this.isOwnOrigin(req)) {
+      console.warn(`[DASHBOARD] Rejected POST ${pathname} from ${req.headers.origin || req.headers.host || 'unknown origin'}`);
+      return this.send(res, 403, 'text/plain', 'Forbidden: request did not come from the dashboard');
+    }
+
+    if (req.method === 'POST' && pathname === '/poll') {
+      await this.app.pollAndPrint();
+      return this.redirect(res);
+    }
+
+    const match = pathname.match(TASK_ROUTE);
+    if (match) {
+      const [, taskId, action] = match;
+      const task = this.app.sprintTasks.find(t => t.id === taskId);
+      if (!task) {
+        return this.send(res, 404, 'text/plain', `${taskId} is not in the current sprint tasks`);
+      }
+
+      if (req.method === 'GET' && action === 'preview') {
+        return this.send(res, 200, 'text/html', this.renderPreviewPage(task));
+      }
+
+      if (req.method === 'POST') {
+        await this.runAction(action, task);
+        return this.redirect(res);
+      }
+    }
+
+    return this.send(res, 404, 'text/plain', 'Not found');
+  }
+
+  /**
+   * Whether a request's Origin (or Host without one) is the dashboard's address
+   */
+  isOwnOrigin(req) {
+    let host = req.headers.host;
+    if (req.headers.origin) {
+      try {
+        host = new URL(req.headers.origin).host;
+      } catch (err) {
+        return false;
+      }
+    }
+    return Boolean(host) && this.getOwnHosts().has(host.toLowerCase());
+  }
+
+  /**
+   * host:port names the dashboard is reached under: the bind address, plus
+   * localhost for loopback and every interface address for 0.0.0.0 / ::
+   */
+  getOwnHosts() {
+    const { host, port } = config.dashboard;
+    const names = [host.includes(':') ? `[${host}]` : host];
+
+    if (LOOPBACK_HOSTS.includes(names[0]) || WILDCARD_HOSTS.includes(host)) {
+      names.push(...LOOPBACK_HOSTS);
+    }
+    if (WILDCARD_HOSTS.includes(host)) {
+      names.push(os.hostname());
+      Object.values(os.networkInterfaces()).flat().forEach(({ address, family }) => {
+        names.push(family === 'IPv6' || family === 6 ? `[${address}]` : address);
+      });
+    }
+
+    // Browsers leave out the default port
+    const hosts = names.map(name => `${name}:${port}`.toLowerCase());
+    return new Set(port === 80 ? [...hosts, ...names.map(name => name.toLowerCase())] : hosts);
+  }
+
+  /**
+   * Run a task action from the dashboard
+   */
+  async runAction(action, task) {
+    const { printer } = this.app;
+    console.log(`[DASHBOARD] ${action} ${task.id}`);
+
+    if (action === 'print' || action === 'reprint') {
+      const force = action === 'reprint';
+      if (printer.dryRun) {
+        await printer.printTask(task, { force });
+        return;
+      }
+
+      // Queued like poll prints, so the ticket survives an offline printer
+      printer.queue.addTicket(task, { force, printer: printer.routeTask(task) });
+      await printer.processQueue();
+    } else if (action === 'mark-printed') {
+      if (printer.dryRun) {
+        console.log(`[DRY-RUN] Would mark ${task.id} as printed`);
+        return;
+      }
+      printer.markPrinted(task);
+    }
+  }
+
+  /**
+   * Current poll, printer and task state
+   */
+  getStatus() {
+    const { printer } = this.app;
+    const jobs = printer.queue.list();
+
+    return {
+      lastPoll: this.app.lastPoll,
+      printers: [...printer.printers.values()].map(target => ({
+        name: target.name,
+        type: target.type,
+        dryRun: printer.dryRun,
+        ...target.status,
+        queuedJobs: jobs.filter(job => printer.getJobPrinter(job) === target.name).length,
+      })),
+      tasks: this.app.sprintTasks.map(task => ({
+        id: task.id,
+        title: task.title,
+        priority: task.priority,
+        points: task.points,
+        columns: task.columns,
+        url: task.url,
+        printed: printer.getPrintedState(task.id),
+      })),
+    };
+  }
+
+  send(res, status, contentType, body) {
+    res.writeHead(status, { 'Content-Type': `${contentType}; charset=utf-8` });
+    res.end(body);
+  }
+
+  redirect(res) {
+    res.writeHead(303, { Location: '/' });
+    res.end();
+  }
+
+  /**
+   * Dashboard page
+   */
+  renderPage() {
+    const status = this.getStatus();
+    const { lastPoll } = status;
+
+    const rows = status.tasks.map(task => `
+      <tr>
+        <td><a href="${escapeHtml(task.url)}">${task.id}</a></td>
+        <td>${escapeHtml(task.title)}</td>
+        <td>${escapeHtml(task.columns.join(', '))}</td>
+        <td>${escapeHtml(task.priority)}</td>
+        <td>${escapeHtml(task.points)}</td>
+        <td class="${task.printed.state.replace(' ', '-')}">${task.printed.state}${status.printers.length > 1 && task.printed.printer ? ` (${escapeHtml(task.printed.printer)})` : ''}${task.printed.at ? `<br><small>${formatTime(task.printed.at)}</small>` : ''}</td>
+        <td class="actions">
+          <a href="/tasks/${task.id}/preview">Preview</a>
+          ${actionButton(task.id, 'print', 'Print')}
+          ${actionButton(task.id, 'reprint', 'Reprint')}
+          ${actionButton(task.id, 'mark-printed', 'Mark printed')}
+        </td>
+      </tr>`).join('');
+
+    const pollInfo = lastPoll
+      ? `${formatTime(lastPoll.at)} (${lastPoll.taskCount} task(s))`
+      : 'not polled yet';
+
+    const printerRows = status.printers.map(printer => {
+      const info = [
+        printer.type + (printer.dryRun ? ' (dry-run)' : ''),
+        ...(printer.state ? [printer.state] : []),
+        printer.lastPrintAt ? `last print ${formatTime(printer.lastPrintAt)}` : 'nothing printed yet',
+        `${printer.queuedJobs} job(s) queued`,
+      ].join(', ');
+      const label = status.printers.length > 1 ? `Printer ${printer.name}` : 'Printer';
+
+      return `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(info)}</dd>
+        ${printer.lastError ? `<dt>Printer error</dt><dd class="error">${escapeHtml(printer.lastError)}</dd>` : ''}`;
+    }).join('');
+
+    return page('PhabPrint', `
+      <h1>PhabPrint</h1>
+      <dl>
+        <dt>Last poll</dt><dd>${pollInfo}</dd>
+        ${lastPoll?.error ? `<dt>Poll error</dt><dd class="error">${escapeHtml(lastPoll.error)}</dd>` : ''}
+        ${printerRows}
+      </dl>
+      <form method="post" action="/poll"><button>Poll now</button></form>
+      <table>
+        <tr><th>Task</th><th>Title</th><th>Column</th><th>Priority</th><th>Points</th><th>State</th><th></th></tr>
+        ${rows || '<tr><td colspan="7">No sprint tasks</td></tr>'}
+      </table>`);
+  }
+
+  /**
+   * Ticket preview page
+   */
+  renderPreviewPage(task) {
+    const preview = this.app.printer.renderPreview(task).join('\n');
+
+    return page(`${task.id} preview`, `
+      <p><a href="/">&larr; Back</a></p>
+      <pre>${escapeHtml(preview)}</pre>
+      ${actionButton(task.id, 'print', 'Print')}
+      ${actionButton(task.id, 'reprint', 'Reprint')}`);
+  }
+}
+
+function actionButton(taskId, action, label) {
+  return `<form method="post" action="/tasks/${taskId}/${action}"><button>${label}</button></form>`;
+}
+
+function formatTime(iso) {
+  return escapeHtml(new Date(iso).toLocaleString());
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; width: 100%; margin-top: 1em; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: top; }
+  dl { display: grid; grid-template-columns: max-content auto; gap: 4px 12px; }
+  dt { font-weight: bold; }
+  form { display: inline; }
+  pre { line-height: 1.1; }
+  .error { color: #c00; }
+  .printed { color: #080; }
+  .not-printed { color: #a60; }
+  .removed { color: #888; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = DashboardService;
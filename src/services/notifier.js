@@ -0,0 +1,121 @@
+/**
+ * Webhook notifications for print events
+ *
+ * After each poll, one summary message listing the printed, updated and
+ * failed tickets is posted to every configured webhook. Webhook types decide
+ * the payload shape:
+ *   slack    { text }      (Slack and compatible: Mattermost, Rocket.Chat, ...)
+ *   discord  { content }
+ *   json     { event, text, printed, updated, failed }
+ *
+ * Unlike Conduit calls, webhooks are not behind Wikimedia's bot detection,
+ * so native fetch is used here.
+ */
+const { config } = require('../config');
+const { fillPlaceholders } = require('../layout');
+
+class NotifierService {
+  constructor() {
+    this.webhooks = config.notifications.webhooks;
+    this.templates = config.notifications.templates;
+  }
+
+  /**
+   * Whether any webhook is configured
+   */
+  isEnabled() {
+    return this.webhooks.length > 0;
+  }
+
+  /**
+   * Send the summary of a poll (nothing is sent if nothing happened)
+   */
+  async notifyPoll({ printed = [], updated = [], failed = [] }) {
+    if (!this.isEnabled() || printed.length + updated.length + failed.length === 0) {
+      return;
+    }
+
+    const summary = { printed, updated, failed };
+    const text = this.formatSummary(summary);
+
+    await Promise.all(this.webhooks.map(webhook =>
+      this.send(webhook, this.buildPayload(webhook.type, text, summary)).catch(err => {
+        console.error(`[NOTIFY] ${webhook.type} webhook failed: ${err.message}`);
+      })
+    ));
+  }
+
+  /**
+   * Format the summary message from the configured templates
+   */
+  formatSummary({ printed, updated, failed }) {
+    const counts = {
+      printedCount: printed.length,
+      updatedCount: updated.length,
+      failedCount: failed.length,
+    };
+
+    return [
+      fillPlaceholders(this.templates.header, counts),
+      ...printed.map(task => fillPlaceholders(this.templates.printed, task)),
+      ...updated.map(task => fillPlaceholders(this.templates.updated, task)),
+      ...failed.map(task => fillPlaceholders(this.templates.failed, task)),
+    ].join('\n');
+  }
+
+  /**
+   * Build the request body for a webhook type
+   */
+  buildPayload(type, text, { printed, updated, failed }) {
+    if (type === 'slack') return { text };
+    if (type === 'discord') return { content: text };
+
+    const summarize = task => ({ id: task.id, title: task.title, url: task.url });
+    return {
+      event: 'poll',
+      text,
+      printed: printed.map(summarize),
+      updated: updated.map(summarize),
+      failed: failed.map(task => ({ ...summarize(task), error: task.error })),
+    };
+  }
+
+  /**
+   * POST a payload, retrying with exponential backoff on network
+   * errors, HTTP 429 and 5xx responses
+   */
+  async send(webhook, payload) {
+    const { retries, timeoutMs } = config.notifications;
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      let retryable = true;
+
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+
+        if (response.ok) return;
+
+        error = new Error(`HTTP ${response.status}`);
+        retryable = response.status === 429 || response.status >= 500;
+      } catch (err) {
+        error = err;
+      }
+
+      if (!retryable || attempt >= retries) {
+        throw error;
+      }
+
+      const delay = 1000 * 2 ** attempt;
+      console.warn(`[NOTIFY] ${webhook.type} webhook: ${error.message}, retrying in ${delay / 1000}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = NotifierService;
@@ -7,15 +7,57 @@
  * bot detection techniques that identify Node.js HTTP clients.
  * Tested: axios, node-fetch, native fetch - all blocked with 403.
  * Only curl works.
+ *
+ * curl runs asynchronously (see utils/curl.js) and gets the API token through
+ * its stdin config, so it never shows up in the process list.
  */
-const { execSync } = require('child_process');
-const { config } = require('../config');
+const { config, getAssignee } = require('../config');
+const { postForm } = require('../utils/curl');
+const { NetworkError, HttpError, ConduitError } = require('../utils/errors');
+const { stripRemarkup } = require('../utils/remarkup');
+const { parsePoints } = require('../utils/summary');
+const { parseTaskFilter } = require('../utils/task-filter');
+
+// Conduit caps *.search pages at 100 results
+const PAGE_SIZE = 100;
+
+// Methods that only read and can be sent again safely
+const READ_ONLY_METHOD = /\.(search|query|lookup|whoami)$/;
+
+// Maniphest edge types (edge.search)
+const EDGE_PARENT = 'task.parent';
+const EDGE_SUBTASK = 'task.subtask';
 
 class PhabricatorService {
   constructor() {
     this.baseUrl = config.phabricator.baseUrl;
     this.apiToken = config.phabricator.apiToken;
     this.userPhid = config.phabricator.userPhid;
+
+    // Project PHID -> display name, kept across polls
+    this.projectNames = new Map();
+
+    // Milestone project PHID -> milestone number (sprints)
+    this.projectMilestones = new Map();
+
+    // Board (project) PHID -> columns of the workboard
+    this.boardColumns = new Map();
+
+    // User PHID -> { username, realName }, kept across polls
+    this.userNames = new Map();
+
+    // Team member PHIDs (TEAM_MEMBERS and TEAM_PROJECT members), reloaded every poll
+    this.teamMembers = null;
+
+    // Task PHID -> { parents, subtasks } PHIDs, and the ID, title and state
+    // of the tasks they point to (reloaded with the tasks)
+    this.taskEdges = new Map();
+    this.relatedTasks = new Map();
+    this.edgesUnavailable = false;
+
+    // Task selection ('me', 'team' or 'any', see getAssignee)
+    this.assignee = getAssignee();
+    this.taskFilter = config.filters.rules ? parseTaskFilter(config.filters.rules) : null;
   }
 
   /**
@@ -49,89 +91,617 @@ class PhabricatorService {
 
   /**
    * Make a Conduit API call to Phabricator using curl
-   * (Wikimedia blocks standard HTTP clients, but allows curl)
+   * (Wikimedia blocks standard HTTP clients, but allows curl).
+   * Network errors, HTTP 429 and 5xx responses of read-only methods are
+   * retried with exponential backoff. Edits (e.g. maniphest.edit) may have
+   * gone through before the error, so they are only retried on HTTP 429.
    */
   async conduitCall(method, params = {}) {
-    const url = `${this.baseUrl}/${method}`;
+    const { retries } = config.phabricator;
+    const readOnly = READ_ONLY_METHOD.test(method);
 
-    // Build curl arguments
-    const curlArgs = ['--data-urlencode', `api.token=${this.apiToken}`];
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.conduitRequest(method, params);
+      } catch (err) {
+        const retryable = readOnly
+          ? err instanceof NetworkError || (err instanceof HttpError && err.retryable)
+          : err instanceof HttpError && err.status === 429;
+        if (!retryable || attempt >= retries) {
+          throw err;
+        }
 
-    // Flatten nested params to PHP-style form encoding
-    const flatParams = this.flattenParams(params);
-    for (const [key, value] of Object.entries(flatParams)) {
-      curlArgs.push('--data-urlencode', `${key}=${value}`);
+        const delay = 1000 * 2 ** attempt;
+        console.warn(`[WARN] ${method}: ${err.message}, retrying in ${delay / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
+  }
 
-    // Execute curl
-    const curlCmd = `curl -s -X POST ${curlArgs.map(a => `'${a}'`).join(' ')} '${url}'`;
+  /**
+   * Send a single Conduit request
+   */
+  async conduitRequest(method, params) {
+    // Flatten nested params to PHP-style form encoding
+    const fields = {
+      'api.token': this.apiToken,
+      ...this.flattenParams(params),
+    };
+
+    const { status, body } = await postForm(`${this.baseUrl}/${method}`, fields, {
+      timeoutMs: config.phabricator.timeoutMs,
+    });
 
+    if (status < 200 || status >= 300) {
+      throw new HttpError(status, method);
+    }
+
+    let data;
     try {
-      const output = execSync(curlCmd, { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 });
-      const data = JSON.parse(output);
+      data = JSON.parse(body);
+    } catch (err) {
+      throw new ConduitError('ERR-INVALID-RESPONSE', `${method} returned invalid JSON`);
+    }
+
+    if (data.error_code) {
+      throw new ConduitError(data.error_code, data.error_info);
+    }
+
+    return data.result;
+  }
+
+  /**
+   * Call a *.search Conduit method and follow the result cursor
+   * until every page is loaded (or the safety limit is reached)
+   */
+  async searchAll(method, params = {}, maxResults = config.phabricator.maxSearchResults) {
+    const results = [];
+    let after = null;
 
-      if (data.error_code) {
-        throw new Error(`Phabricator API error: ${data.error_info}`);
+    do {
+      const pageParams = { ...params, limit: Math.min(PAGE_SIZE, maxResults - results.length) };
+      if (after) {
+        pageParams.after = after;
       }
 
-      return data.result;
-    } catch (err) {
-      if (err.message.includes('Phabricator API error')) {
-        throw err;
+      const result = await this.conduitCall(method, pageParams);
+      results.push(...result.data);
+      after = result.cursor?.after || null;
+
+      if (after && results.length >= maxResults) {
+        console.warn(`[WARN] ${method}: stopped after ${results.length} results (limit ${maxResults}), more are available`);
+        break;
       }
-      throw new Error(`curl failed: ${err.message}`);
+    } while (after);
+
+    return results;
+  }
+
+  /**
+   * Load the team: TEAM_MEMBERS plus the members of TEAM_PROJECT
+   */
+  async loadTeamMembers() {
+    const { teamMembers, teamProject } = config.filters;
+    const members = new Set(teamMembers);
+
+    if (teamProject) {
+      const [project] = await this.searchAll('project.search', {
+        constraints: { phids: [teamProject] },
+        attachments: { members: true },
+      });
+      if (!project) {
+        throw new Error(`Team project ${teamProject} not found`);
+      }
+      (project.attachments?.members?.members || []).forEach(member => members.add(member.phid));
     }
+
+    this.teamMembers = [...members];
+    return this.teamMembers;
+  }
+
+  /**
+   * Owners whose tasks are selected (null: any owner). "none()" stands
+   * for unassigned tasks in the assigned constraint.
+   */
+  async getAssignees() {
+    if (this.assignee === 'any') return null;
+
+    const owners = this.assignee === 'me' ? [this.userPhid] : this.teamMembers || await this.loadTeamMembers();
+    return config.filters.unassigned ? [...owners, 'none()'] : owners;
   }
 
   /**
-   * Get tasks assigned to the user
+   * Get the tasks selected by the saved query, project and assignee
+   * settings (by default the tasks assigned to the user)
    */
-  async getMyTasks() {
-    const result = await this.conduitCall('maniphest.search', {
+  async getSelectedTasks(constraints = {}) {
+    const { queryKey, projects, statuses } = config.filters;
+
+    // An empty assigned constraint would match every task
+    const assignees = await this.getAssignees();
+    if (assignees && assignees.length === 0) {
+      console.warn('[WARN] The team has no members, no tasks selected');
+      return [];
+    }
+
+    const params = {
+      ...(queryKey ? { queryKey } : {}),
       constraints: {
-        assigned: [this.userPhid],
-        statuses: config.filters.statuses,
+        statuses,
+        ...(assignees ? { assigned: assignees } : {}),
+        ...constraints,
       },
       attachments: {
         projects: true,
         columns: true,
       },
-      limit: 100,
-    });
+    };
+
+    if (projects.length === 0) {
+      return this.searchAll('maniphest.search', params);
+    }
 
-    return result.data;
+    // A projects constraint matches tasks tagged with all of them,
+    // so each project is searched on its own
+    const byId = new Map();
+    for (const phid of projects) {
+      const tasks = await this.searchAll('maniphest.search', {
+        ...params,
+        constraints: { ...params.constraints, projects: [phid] },
+      });
+      tasks.forEach(task => byId.set(task.id, task));
+    }
+
+    return [...byId.values()];
+  }
+
+  /**
+   * Describe the task selection for the startup output
+   */
+  describeSelection() {
+    const { queryKey, projects, statuses } = config.filters;
+    const parts = [];
+    if (queryKey) parts.push(`saved query ${queryKey}`);
+    if (projects.length > 0) parts.push(`tagged ${projects.join(' or ')}`);
+    if (this.assignee === 'me') parts.push('assigned to you');
+    if (this.assignee === 'team') {
+      const { teamMembers, teamProject } = config.filters;
+      const team = [
+        ...(teamMembers.length > 0 ? [`${teamMembers.length} member(s)`] : []),
+        ...(teamProject ? [`members of ${teamProject}`] : []),
+      ];
+      parts.push(`assigned to the team (${team.join(' and ')})`);
+    }
+    if (this.assignee !== 'any' && config.filters.unassigned) parts.push('or unassigned');
+    parts.push(`status ${statuses.join(', ')}`);
+    return parts.join(', ');
   }
 
   /**
    * Get tasks that are currently in sprint columns
    */
   async getSprintTasks() {
-    // 1. Get all tasks assigned to the user
-    const tasks = await this.getMyTasks();
+    // Team members may have joined or left the team project
+    if (this.assignee === 'team') {
+      await this.loadTeamMembers();
+    }
+
+    // 1. Get the selected tasks (assigned to the user by default)
+    const tasks = await this.getSelectedTasks();
+
+    // Tag rules match project names, so those are needed before filtering
+    if (this.taskFilter?.fields.has('tag')) {
+      await this.loadProjectNames(tasks);
+    }
+
+    // 2. Filter tasks in sprint columns (or by the filter rules)
+    const sprintTasks = this.filterSprintTasks(tasks);
+
+    // 3. Resolve project and owner names, parents and subtasks for the tickets
+    await this.loadProjectNames(sprintTasks);
+    await this.loadUserNames(sprintTasks);
+    await this.loadTaskEdges(sprintTasks);
+
+    return sprintTasks;
+  }
+
+  /**
+   * Resolve project PHIDs of the given tasks to names, caching them
+   * on the service so later polls only look up new projects
+   */
+  async loadProjectNames(tasks) {
+    const phids = new Set();
+    tasks.forEach(task => {
+      (task.attachments?.projects?.projectPHIDs || []).forEach(phid => {
+        if (!this.projectNames.has(phid)) phids.add(phid);
+      });
+    });
+
+    if (phids.size === 0) return;
+
+    const projects = await this.searchAll('project.search', {
+      constraints: { phids: [...phids] },
+    });
+
+    projects.forEach(project => {
+      const { name, milestone, parent } = project.fields;
+      // Milestones are shown with their parent, e.g. "Backend / Sprint 12"
+      const displayName = milestone != null && parent ? `${parent.name} / ${name}` : name;
+      this.projectNames.set(project.phid, displayName);
+      if (milestone != null) {
+        this.projectMilestones.set(project.phid, milestone);
+      }
+      phids.delete(project.phid);
+    });
+
+    // Fall back to phid.lookup for anything project.search did not return
+    if (phids.size > 0) {
+      const handles = await this.conduitCall('phid.lookup', { names: [...phids] });
+      Object.values(handles || {}).forEach(handle => {
+        this.projectNames.set(handle.phid, handle.fullName || handle.name);
+      });
+    }
+  }
+
+  /**
+   * Resolve the owners of the given tasks to user names, caching them
+   * on the service so later polls only look up new users
+   */
+  async loadUserNames(tasks) {
+    const phids = new Set(tasks
+      .map(task => task.fields.ownerPHID)
+      .filter(phid => phid && !this.userNames.has(phid)));
+
+    if (phids.size === 0) return;
+
+    const users = await this.searchAll('user.search', {
+      constraints: { phids: [...phids] },
+    });
 
-    // 2. Filter tasks in sprint columns
-    return this.filterSprintTasks(tasks);
+    users.forEach(user => {
+      this.userNames.set(user.phid, { username: user.fields.username, realName: user.fields.realName || null });
+    });
+  }
+
+  /**
+   * Get the parent and subtask edges of tasks: task PHID -> { parents, subtasks }
+   */
+  async getTaskEdges(taskPhids, types = [EDGE_PARENT, EDGE_SUBTASK]) {
+    const edges = new Map(taskPhids.map(phid => [phid, { parents: [], subtasks: [] }]));
+    if (taskPhids.length === 0) return edges;
+
+    const results = await this.searchAll('edge.search', { sourcePHIDs: taskPhids, types });
+    results.forEach(edge => {
+      const entry = edges.get(edge.sourcePHID);
+      if (!entry) return;
+      (edge.edgeType === EDGE_PARENT ? entry.parents : entry.subtasks).push(edge.destinationPHID);
+    });
+
+    return edges;
+  }
+
+  /**
+   * Load the parents and subtasks of the given tasks for the tickets
+   * (PRINT_PARENT, PRINT_SUBTASKS). Phabricator versions without
+   * edge.search print tickets without them.
+   */
+  async loadTaskEdges(tasks) {
+    const { parentTask, subtasks } = config.printer;
+    if ((!parentTask && !subtasks) || this.edgesUnavailable || tasks.length === 0) return;
+
+    let edges;
+    try {
+      edges = await this.getTaskEdges(tasks.map(task => task.phid));
+    } catch (err) {
+      if (!(err instanceof ConduitError)) throw err;
+      console.warn(`[WARN] edge.search failed (${err.message}), tickets are printed without parent and subtasks`);
+      this.edgesUnavailable = true;
+      return;
+    }
+    edges.forEach((entry, phid) => this.taskEdges.set(phid, entry));
+
+    const related = new Set([...edges.values()].flatMap(entry => [...entry.parents, ...entry.subtasks]));
+    if (related.size === 0) return;
+
+    const found = await this.searchAll('maniphest.search', { constraints: { phids: [...related] } });
+    found.forEach(task => {
+      this.relatedTasks.set(task.phid, {
+        id: `T${task.id}`,
+        numericId: task.id,
+        title: task.fields.name || 'Untitled',
+        closed: task.fields.dateClosed != null,
+      });
+    });
   }
 
   /**
-   * Filter tasks that are in sprint-related columns
+   * Get a task and all of its subtasks (recursively): each task is
+   * followed by its subtasks in ID order
+   */
+  async getTaskTree(taskId) {
+    const [root] = await this.getTasksByIds([parseInt(String(taskId).replace(/^T/i, ''), 10)]);
+    if (!root) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    // Walk down one level of subtasks at a time
+    const byPhid = new Map([[root.phid, root]]);
+    const children = new Map();
+    let level = [root];
+    while (level.length > 0) {
+      const edges = await this.getTaskEdges(level.map(task => task.phid), [EDGE_SUBTASK]);
+      edges.forEach((entry, phid) => children.set(phid, entry.subtasks));
+
+      const next = [...new Set([...edges.values()].flatMap(entry => entry.subtasks))].filter(phid => !byPhid.has(phid));
+      level = await this.getTasksByPhids(next);
+      level.forEach(task => byPhid.set(task.phid, task));
+    }
+
+    // Depth-first, a task shared by several parents comes once
+    const ordered = [];
+    const visit = phid => {
+      const task = byPhid.get(phid);
+      if (!task || ordered.includes(task)) return;
+      ordered.push(task);
+      (children.get(phid) || [])
+        .map(child => byPhid.get(child))
+        .filter(Boolean)
+        .sort((a, b) => a.id - b.id)
+        .forEach(child => visit(child.phid));
+    };
+    visit(root.phid);
+
+    await this.loadProjectNames(ordered);
+    await this.loadUserNames(ordered);
+    await this.loadTaskEdges(ordered);
+
+    return ordered;
+  }
+
+  /**
+   * Get tasks by numeric ID regardless of status or assignee
+   */
+  async getTasksByIds(ids) {
+    if (ids.length === 0) return [];
+
+    return this.searchAll('maniphest.search', {
+      constraints: { ids },
+      attachments: {
+        projects: true,
+        columns: true,
+      },
+    });
+  }
+
+  /**
+   * Get tasks by PHID (e.g. from a Herald webhook), with the same
+   * attachments as getSelectedTasks()
+   */
+  async getTasksByPhids(phids) {
+    if (phids.length === 0) return [];
+
+    return this.searchAll('maniphest.search', {
+      constraints: { phids },
+      attachments: {
+        projects: true,
+        columns: true,
+      },
+    });
+  }
+
+  /**
+   * Get the user the API token belongs to (checks the credentials)
+   */
+  async whoami() {
+    return this.conduitCall('user.whoami');
+  }
+
+  /**
+   * Apply edit transactions to a task, e.g. [{ type: 'status', value: 'resolved' }]
+   */
+  async editTask(taskId, transactions) {
+    return this.conduitCall('maniphest.edit', {
+      objectIdentifier: taskId,
+      transactions,
+    });
+  }
+
+  /**
+   * Change the status of a task
+   */
+  async setTaskStatus(taskId, status) {
+    return this.editTask(taskId, [{ type: 'status', value: status }]);
+  }
+
+  /**
+   * Get the columns of a workboard (cached)
+   */
+  async getBoardColumns(boardPhid) {
+    if (!this.boardColumns.has(boardPhid)) {
+      const columns = await this.searchAll('project.column.search', {
+        constraints: { projects: [boardPhid] },
+      });
+      this.boardColumns.set(boardPhid, columns);
+    }
+
+    return this.boardColumns.get(boardPhid);
+  }
+
+  /**
+   * Move a task to the column with the given name (case-insensitive)
+   * on every board it is on that has such a column
+   * Returns the number of boards the task was moved on
+   */
+  async moveTaskToColumn(taskId, columnName) {
+    const [task] = await this.getTasksByIds([parseInt(String(taskId).replace(/^T/i, ''), 10)]);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const columnPhids = [];
+    for (const boardPhid of Object.keys(task.attachments?.columns?.boards || {})) {
+      const columns = await this.getBoardColumns(boardPhid);
+      const column = columns.find(col =>
+        !col.fields.isHidden && col.fields.name.toLowerCase() === columnName.toLowerCase()
+      );
+      if (column) {
+        columnPhids.push(column.phid);
+      }
+    }
+
+    if (columnPhids.length === 0) {
+      throw new Error(`No column named "${columnName}" on the boards of ${taskId}`);
+    }
+
+    await this.editTask(taskId, [{ type: 'column', value: columnPhids }]);
+
+    return columnPhids.length;
+  }
+
+  /**
+   * Explain why a task is no longer one of the sprint tasks
+   * Returns null if it still is
+   */
+  getRemovalReason(task) {
+    if (!task) {
+      return 'not found';
+    }
+
+    if (!config.filters.statuses.includes(task.fields.status?.value)) {
+      return `closed (${task.fields.status?.name || 'Unknown'})`;
+    }
+
+    const owner = task.fields.ownerPHID;
+    if (this.assignee === 'me' || this.assignee === 'team') {
+      const owners = this.assignee === 'me' ? [this.userPhid] : this.teamMembers || [];
+      if (!owner && !config.filters.unassigned) return 'unassigned';
+      if (owner && !owners.includes(owner)) return 'reassigned';
+    }
+
+    const { projects } = config.filters;
+    const taskProjects = task.attachments?.projects?.projectPHIDs || [];
+    if (projects.length > 0 && !taskProjects.some(phid => projects.includes(phid))) {
+      return 'removed from project';
+    }
+
+    if (this.filterSprintTasks([task]).length === 0) {
+      if (this.taskFilter) {
+        return 'no longer matches the filter';
+      }
+      const columns = this.getColumnNames(task);
+      return columns.length > 0 ? `moved to ${columns.join(', ')}` : 'moved to backlog';
+    }
+
+    return null;
+  }
+
+  /**
+   * Removal reasons (null while still selected) by task ID, e.g. "T123".
+   * With a saved query, tasks that no longer match it are checked
+   * with Phabricator.
+   */
+  async getRemovalReasons(tasks) {
+    await this.loadProjectNames(tasks);
+    await this.loadUserNames(tasks);
+    if (this.assignee === 'team' && !this.teamMembers) {
+      await this.loadTeamMembers();
+    }
+
+    let inQuery = null;
+    if (config.filters.queryKey && tasks.length > 0) {
+      const matching = await this.getSelectedTasks({ phids: tasks.map(task => task.phid) });
+      inQuery = new Set(matching.map(task => task.id));
+    }
+
+    return new Map(tasks.map(task => {
+      const reason = this.getRemovalReason(task)
+        || (inQuery && !inQuery.has(task.id) ? 'removed from the saved query' : null);
+      return [`T${task.id}`, reason];
+    }));
+  }
+
+  /**
+   * Filter tasks that match the filter rules, or without rules, tasks
+   * in sprint-related columns. With TASK_PROJECTS, only the columns on
+   * those boards count.
    */
   filterSprintTasks(tasks) {
+    if (this.taskFilter) {
+      return tasks.filter(task => this.taskFilter.test(this.getFilterValues(task)));
+    }
+
     const sprintKeywords = config.filters.sprintColumns;
 
-    return tasks.filter(task => {
-      const columnsData = task.attachments?.columns?.boards;
-      if (!columnsData) return false;
-
-      // Check if task is in any sprint-related column
-      return Object.values(columnsData).some(board =>
-        board.columns.some(col =>
-          sprintKeywords.some(keyword =>
-            col.name.toLowerCase().includes(keyword)
-          )
-        )
-      );
+    // Check if task is in any sprint-related column
+    return tasks.filter(task =>
+      this.getColumnNames(task, this.getSelectedBoards()).some(name =>
+        sprintKeywords.some(keyword => name.toLowerCase().includes(keyword))
+      )
+    );
+  }
+
+  /**
+   * Boards whose columns count for the filters (null: all boards)
+   */
+  getSelectedBoards() {
+    return config.filters.projects.length > 0 ? config.filters.projects : null;
+  }
+
+  /**
+   * Values of a task for the filter rules (see utils/task-filter.js).
+   * Tags match by PHID, full project name or each part of a milestone name.
+   */
+  getFilterValues(task) {
+    const projectPhids = task.attachments?.projects?.projectPHIDs || [];
+    const tags = projectPhids.flatMap(phid => {
+      const name = this.projectNames.get(phid);
+      return name ? [phid, name, ...name.split(' / ')] : [phid];
     });
+
+    return {
+      priority: task.fields.priority?.value ?? null,
+      points: parsePoints(task.fields.points),
+      tag: tags,
+      column: this.getColumnNames(task, this.getSelectedBoards()),
+      status: [task.fields.status?.value, task.fields.status?.name].filter(Boolean),
+      title: [task.fields.name || ''],
+    };
+  }
+
+  /**
+   * Sprint of a task: its milestone with the highest number, else the
+   * project whose name contains one of SPRINT_PROJECT_KEYWORDS (the last
+   * by name, so "Sprint 13" wins over "Sprint 12"); null without one
+   */
+  getSprint(projectPhids) {
+    const milestones = projectPhids
+      .filter(phid => this.projectMilestones.has(phid))
+      .sort((a, b) => this.projectMilestones.get(b) - this.projectMilestones.get(a));
+
+    const { sprintKeywords } = config.history;
+    const named = projectPhids
+      .filter(phid => this.projectNames.has(phid))
+      .filter(phid => sprintKeywords.some(keyword => this.projectNames.get(phid).toLowerCase().includes(keyword)))
+      .sort((a, b) => this.projectNames.get(b).localeCompare(this.projectNames.get(a), undefined, { numeric: true }));
+
+    const phid = milestones[0] || named[0];
+    return phid ? { phid, name: this.projectNames.get(phid) || phid } : null;
+  }
+
+  /**
+   * Get the names of the board columns a task is in,
+   * optionally only on the given boards
+   */
+  getColumnNames(task, boardPhids = null) {
+    const columns = [];
+    const columnsData = task.attachments?.columns?.boards;
+    if (columnsData) {
+      Object.entries(columnsData).forEach(([boardPhid, board]) => {
+        if (boardPhids && !boardPhids.includes(boardPhid)) return;
+        board.columns.forEach(col => columns.push(col.name));
+      });
+    }
+    return columns;
   }
 
   /**
@@ -141,33 +711,62 @@ class PhabricatorService {
     const taskId = `T${task.id}`;
     const title = task.fields.name || 'Untitled';
     const priority = task.fields.priority?.name || 'Unknown';
+    const priorityValue = task.fields.priority?.value ?? null;
     const points = task.fields.points ?? 'N/A';
     const status = task.fields.status?.name || 'Unknown';
+    const ownerPhid = task.fields.ownerPHID || null;
+    const user = ownerPhid ? this.userNames.get(ownerPhid) : null;
+    const owner = user ? user.realName || user.username : null;
+    const description = stripRemarkup(task.fields.description?.raw);
 
-    // Get project names from attachments
+    // Get project names from attachments (resolved by loadProjectNames)
     const projectPhids = task.attachments?.projects?.projectPHIDs || [];
+    const projects = projectPhids
+      .map(phid => this.projectNames.get(phid))
+      .filter(Boolean);
 
     // Get column names
-    const columns = [];
-    const columnsData = task.attachments?.columns?.boards;
-    if (columnsData) {
-      Object.values(columnsData).forEach(board => {
-        board.columns.forEach(col => columns.push(col.name));
-      });
-    }
+    const columns = this.getColumnNames(task);
+
+    // Parent and subtasks (resolved by loadTaskEdges), subtasks in ID order
+    const edges = this.taskEdges.get(task.phid) || { parents: [], subtasks: [] };
+    const related = phids => phids.map(phid => this.relatedTasks.get(phid)).filter(Boolean);
+    const parents = related(edges.parents).map(({ id, title }) => ({ id, title }));
+    const subtasks = related(edges.subtasks)
+      .sort((a, b) => a.numericId - b.numericId)
+      .map(({ id, title, closed }) => ({ id, title, closed }));
 
     return {
       id: taskId,
       numericId: task.id,
       title,
       priority,
+      priorityValue,
       points,
       status,
+      ownerPhid,
+      owner,
+      ownerUsername: user?.username || null,
+      ownerInitials: owner ? getInitials(owner) : null,
+      description,
       projectPhids,
+      projects,
       columns,
+      parents,
+      subtasks,
+      sprint: this.getSprint(projectPhids),
       url: `${this.baseUrl.replace('/api', '')}/${taskId}`,
     };
   }
 }
 
+/**
+ * Initials of a user name, e.g. "Jane Doe" -> "JD", "jdoe" -> "JD"
+ */
+function getInitials(name) {
+  const words = name.split(/[\s._-]+/).filter(Boolean);
+  const initials = words.length > 1 ? words.slice(0, 3).map(word => word[0]).join('') : name.slice(0, 2);
+  return initials.toUpperCase();
+}
+
 module.exports = PhabricatorService;
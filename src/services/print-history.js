@@ -0,0 +1,193 @@
+/**
+ * Printed history per sprint
+ *
+ * Every printed ticket is recorded under the sprint of its task: the
+ * milestone (or SPRINT_PROJECT_KEYWORDS project) it is tagged with, or
+ * "none" for tasks without one. The history is saved in .printed-tasks.json
+ * next to the board state and kept until a sprint is reset, so earlier
+ * sprints stay available after a new one starts.
+ *
+ * Sprint:
+ *   { name, firstSeenAt, tasks: { T123: record, ... } }
+ * Record:
+ *   { title, printers, printCount, firstPrintedAt, lastPrintedAt,
+ *     carriedFrom, carriedTo, removed: { reason, at } }
+ *
+ * carriedFrom / carriedTo hold the key of the sprint a task came from or
+ * moved on to.
+ */
+
+// Key of the tasks that are in no sprint
+const NO_SPRINT = 'none';
+
+/**
+ * History key of a task's sprint ({ phid, name } or null)
+ */
+function sprintKey(sprint) {
+  return sprint?.phid || NO_SPRINT;
+}
+
+class PrintHistory {
+  constructor(data = {}) {
+    this.sprints = new Map(Object.entries(data));
+  }
+
+  /**
+   * Whether a sprint has been seen before
+   */
+  hasSprint(sprint) {
+    return this.sprints.has(sprintKey(sprint));
+  }
+
+  /**
+   * A sprint's entry, created when first seen (the name follows renames)
+   */
+  ensureSprint(sprint) {
+    const key = sprintKey(sprint);
+    if (!this.sprints.has(key)) {
+      this.sprints.set(key, { name: sprint?.name || null, firstSeenAt: new Date().toISOString(), tasks: {} });
+    }
+
+    const entry = this.sprints.get(key);
+    if (sprint?.name) entry.name = sprint.name;
+    return entry;
+  }
+
+  /**
+   * The record of a task (formatted for print) in its sprint, created on first use
+   */
+  getRecord(task) {
+    const { tasks } = this.ensureSprint(task.sprint);
+    if (!tasks[task.id]) {
+      tasks[task.id] = {
+        title: task.title,
+        printers: [],
+        printCount: 0,
+        firstPrintedAt: null,
+        lastPrintedAt: null,
+        carriedFrom: null,
+        carriedTo: null,
+        removed: null,
+      };
+    }
+    return tasks[task.id];
+  }
+
+  /**
+   * Record a ticket on a printer's board. With { printed: false } the ticket
+   * is recorded without counting a print (e.g. marked printed by hand);
+   * at is the print time (default: now).
+   */
+  recordPrint(task, printerName, { printed = true, at = new Date().toISOString() } = {}) {
+    const record = this.getRecord(task);
+    record.title = task.title;
+    record.removed = null;
+    if (!record.printers.includes(printerName)) {
+      record.printers.push(printerName);
+    }
+
+    if (printed) {
+      record.printCount++;
+      record.firstPrintedAt = record.firstPrintedAt || at;
+      record.lastPrintedAt = at;
+    }
+  }
+
+  /**
+   * Record that a task's ticket was taken off the board
+   */
+  recordRemoval(taskId, key, reason) {
+    const record = this.sprints.get(key)?.tasks[taskId];
+    if (record) {
+      record.removed = { reason, at: new Date().toISOString() };
+    }
+  }
+
+  /**
+   * Record that a task moved on from the sprint with the given key to its
+   * current sprint
+   */
+  recordCarryOver(task, fromKey) {
+    const from = this.sprints.get(fromKey)?.tasks[task.id];
+    if (from) {
+      from.carriedTo = sprintKey(task.sprint);
+    }
+    this.getRecord(task).carriedFrom = fromKey;
+  }
+
+  /**
+   * Display name of a sprint key
+   */
+  getName(key) {
+    if (key === NO_SPRINT) return '(no sprint)';
+    return this.sprints.get(key)?.name || key;
+  }
+
+  /**
+   * Find a sprint by key, "none", or (part of) its name, ignoring case
+   * Returns the key, or null when none matches; throws when several do
+   */
+  findSprint(ref) {
+    const value = String(ref).toLowerCase();
+    if (this.sprints.has(ref)) return ref;
+
+    const keys = [...this.sprints.keys()];
+    const exact = keys.filter(key => this.getName(key).toLowerCase() === value);
+    if (exact.length === 1) return exact[0];
+
+    const partial = keys.filter(key => this.getName(key).toLowerCase().includes(value));
+    if (partial.length > 1) {
+      throw new Error(`"${ref}" matches several sprints: ${partial.map(key => this.getName(key)).join(', ')}`);
+    }
+    return partial[0] || null;
+  }
+
+  /**
+   * Summary of every sprint, oldest first:
+   * [{ key, name, firstSeenAt, taskCount, printCount, lastPrintedAt }]
+   */
+  list() {
+    return [...this.sprints]
+      .map(([key, sprint]) => {
+        const records = Object.values(sprint.tasks);
+        const printTimes = records.map(record => record.lastPrintedAt).filter(Boolean).sort();
+        return {
+          key,
+          name: this.getName(key),
+          firstSeenAt: sprint.firstSeenAt,
+          taskCount: records.length,
+          printCount: records.reduce((sum, record) => sum + record.printCount, 0),
+          lastPrintedAt: printTimes[printTimes.length - 1] || null,
+        };
+      })
+      .sort((a, b) => String(a.firstSeenAt).localeCompare(String(b.firstSeenAt)));
+  }
+
+  /**
+   * Task records of a sprint: [[taskId, record], ...] by task ID
+   */
+  getTasks(key) {
+    const tasks = this.sprints.get(key)?.tasks || {};
+    return Object.entries(tasks).sort(([a], [b]) => parseInt(a.slice(1), 10) - parseInt(b.slice(1), 10));
+  }
+
+  /**
+   * Forget a sprint
+   */
+  reset(key) {
+    return this.sprints.delete(key);
+  }
+
+  /**
+   * Plain object for the cache file
+   */
+  toJSON() {
+    return Object.fromEntries(this.sprints);
+  }
+}
+
+module.exports = {
+  NO_SPRINT,
+  sprintKey,
+  PrintHistory,
+};
@@ -0,0 +1,193 @@
+/**
+ * Persistent print queue
+ *
+ * Print jobs (tickets and slips) are stored in .print-queue.json until the
+ * printer has really printed them, so nothing is lost when the printer is
+ * unplugged, out of paper or PhabPrint restarts. The file is read on every
+ * access, so the queue commands (--queue, --queue-retry, --queue-drop) and a
+ * running instance see the same jobs.
+ *
+ * Job:
+ *   { id, type: 'ticket', task, force, cut, track, ... }   track: false keeps the ticket off the board
+ *   { id, type: 'slip', title, lines, kind, ... }
+ *   { id, type: 'header', title, group, taskIds, cut, ... }   group header of a batch
+ *   ... printer, createdAt, attempts, lastError, nextAttemptAt
+ *
+ * printer names the printer of the job (PRINTERS); jobs without one go to
+ * the default printer.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const QUEUE_FILE = path.join(__dirname, '../../.print-queue.json');
+
+class PrintQueue {
+  constructor(file = QUEUE_FILE) {
+    this.file = file;
+  }
+
+  /**
+   * Read the queue file
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (err) {
+      console.warn('Could not load print queue:', err.message);
+    }
+    return { nextId: 1, jobs: [] };
+  }
+
+  /**
+   * Write the queue file (atomically, so a crash never leaves half a queue)
+   */
+  save(data) {
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * Load, change and save the queue in one step
+   */
+  update(change) {
+    const data = this.load();
+    const result = change(data);
+    this.save(data);
+    return result;
+  }
+
+  /**
+   * All queued jobs, oldest first
+   */
+  list() {
+    return this.load().jobs;
+  }
+
+  /**
+   * Find a job by job ID or task ID (e.g. "3" or "T1234")
+   */
+  find(ref) {
+    return this.list().filter(job => matches(job, ref));
+  }
+
+  /**
+   * Add a job at the end of the queue
+   */
+  add(job) {
+    return this.update(data => {
+      const entry = {
+        id: data.nextId++,
+        ...job,
+        createdAt: new Date().toISOString(),
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: null,
+      };
+      data.jobs.push(entry);
+      return entry;
+    });
+  }
+
+  /**
+   * Queue a ticket, or refresh the queued ticket of the same task so the
+   * latest task data is printed once
+   */
+  addTicket(task, { force = false, cut = true, printer = null } = {}) {
+    const existing = this.list().find(job => job.type === 'ticket' && job.task.id === task.id);
+    if (!existing) {
+      return this.add({ type: 'ticket', task, force, cut, printer });
+    }
+
+    return this.updateJob(existing.id, { task, ...mergeTicket({ force }, existing), cut, printer });
+  }
+
+  /**
+   * Queue a printer's ordered batch of group headers and tickets. Queued
+   * headers of the same groups and queued tickets of the same tasks are
+   * replaced, and headers no longer in front of their tickets are dropped,
+   * so a batch queued again on every poll while the printer is offline
+   * prints once, in the latest order. The retry state of the replaced jobs
+   * carries over to the first job of the batch.
+   */
+  addBatch(printer, jobs) {
+    return this.update(data => {
+      const groups = new Set(jobs.filter(job => job.type === 'header').map(job => job.group));
+      const taskIds = new Set(jobs.filter(job => job.type === 'ticket').map(job => job.task.id));
+      const replaced = data.jobs.filter(job =>
+        (job.type === 'header' && job.printer === printer && groups.has(job.group)) ||
+        (job.type === 'ticket' && taskIds.has(job.task.id)));
+      const previous = new Map(replaced.filter(job => job.type === 'ticket').map(job => [job.task.id, job]));
+      const retry = replaced.reduce((latest, job) => (job.attempts > (latest?.attempts || 0) ? job : latest), null);
+
+      data.jobs = data.jobs.filter(job => !replaced.includes(job));
+      const added = jobs.map((job, index) => ({
+        id: data.nextId++,
+        ...job,
+        ...(job.type === 'ticket' && previous.has(job.task.id) ? mergeTicket(job, previous.get(job.task.id)) : {}),
+        createdAt: new Date().toISOString(),
+        attempts: index === 0 && retry ? retry.attempts : 0,
+        lastError: index === 0 && retry ? retry.lastError : null,
+        nextAttemptAt: index === 0 && retry ? retry.nextAttemptAt : null,
+      }));
+      data.jobs.push(...added);
+
+      // A header is only printed right in front of one of its group's tickets
+      const own = data.jobs.filter(job => job.printer === printer);
+      const orphans = own.filter((job, index) => {
+        const next = own[index + 1];
+        return job.type === 'header' &&
+          (next?.type !== 'ticket' || (job.taskIds && !job.taskIds.includes(next.task.id)));
+      });
+      data.jobs = data.jobs.filter(job => !orphans.includes(job));
+      return added.filter(job => !orphans.includes(job));
+    });
+  }
+
+  /**
+   * Change fields of a queued job
+   */
+  updateJob(id, fields) {
+    return this.update(data => {
+      const job = data.jobs.find(j => j.id === id);
+      if (job) Object.assign(job, fields);
+      return job || null;
+    });
+  }
+
+  /**
+   * Remove a job (after it printed, or when dropped)
+   */
+  remove(id) {
+    return this.update(data => {
+      const index = data.jobs.findIndex(job => job.id === id);
+      return index === -1 ? null : data.jobs.splice(index, 1)[0];
+    });
+  }
+}
+
+/**
+ * Flags of a ticket job that replaces a queued one: forced or added to the
+ * board if either of them is
+ */
+function mergeTicket(job, previous) {
+  return {
+    force: Boolean(job.force || previous.force),
+    track: job.track !== false || previous.track !== false,
+  };
+}
+
+/**
+ * Whether a job matches a job ID or task ID reference
+ */
+function matches(job, ref) {
+  const value = String(ref);
+  if (/^T\d+$/i.test(value)) {
+    return job.type === 'ticket' && job.task.id.toUpperCase() === value.toUpperCase();
+  }
+  return String(job.id) === value;
+}
+
+module.exports = PrintQueue;
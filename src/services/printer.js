@@ -1,15 +1,74 @@
+const crypto = require('crypto');
 const { config } = require('../config');
+const { loadLayout, buildTicket } = require('../layout');
+const { truncate } = require('../layout/wrap');
+const { renderEscpos, renderConsole } = require('../layout/renderers');
+const { getPrinters, getDefaultPrinterName, createDevice } = require('../devices');
+const { queryStatus, describeStatus, PrinterStatusError, NoStatusReplyError } = require('../devices/status');
+const PrintQueue = require('./print-queue');
+const { NO_SPRINT, sprintKey, PrintHistory } = require('./print-history');
+const { parsePoints, formatPoints, summarizeSprint } = require('../utils/summary');
+const { getCodePage, transliterate, transliterateValues } = require('../utils/codepage');
+const { orderTasks } = require('../utils/print-order');
+const { routeTask } = require('../utils/routing');
+
+// Missing status replies in a row before status checks are turned off for a
+// printer, and how long they stay off before it is asked again
+const STATUS_MISS_LIMIT = 3;
+const STATUS_RETRY_MS = 60 * 60 * 1000;
+
+// Printed fields that can be compared between polls
+const TRACKED_FIELDS = {
+  title: 'Title',
+  priority: 'Priority',
+  points: 'Points',
+  status: 'Status',
+  columns: 'Column',
+  projects: 'Tags',
+  owner: 'Owner',
+};
 
 class PrinterService {
   constructor(options = {}) {
     this.dryRun = options.dryRun || false;
-    this.printedTasks = new Set();
+
+    // Named printers (see devices/index.js), each with its own print lock,
+    // last print outcome and status (reported by the dashboard). Status
+    // checks are turned off for a while for a printer that does not answer
+    // several of them in a row.
+    this.printers = new Map(getPrinters().map(printer => [printer.name, {
+      ...printer,
+      status: { lastPrintAt: null, lastError: null, state: null, stateAt: null },
+      statusSupported: true,
+      statusMisses: 0,
+      statusRetryAt: null,
+      printLock: Promise.resolve(),
+    }]));
+    this.defaultPrinter = getDefaultPrinterName();
+
+    // Printer name -> task ID -> { fingerprint, fields, column, sprint, printedAt }
+    // of the last ticket printed on that printer, and the history per sprint
+    this.printedTasks = new Map();
+    this.history = new PrintHistory();
     this.loadPrintedTasks();
 
+    // Ticket layout shared by real and simulated printing
+    this.layout = loadLayout(config.printer.layoutFile);
+
+    // Code page the printer prints text in (ESC t table number can be overridden)
+    this.codePage = getCodePage(config.printer.codePage);
+    if (config.printer.codePageTable !== null) {
+      this.codePage.table = config.printer.codePageTable;
+    }
+
+    // Tickets and slips from polls wait here until they really printed
+    this.queue = new PrintQueue();
+    this.queueRun = Promise.resolve();
+    this.retryTimer = null;
+
     // Only load escpos if not in dry-run mode
     if (!this.dryRun) {
       this.escpos = require('escpos');
-      this.escpos.USB = require('escpos-usb');
     }
   }
 
@@ -25,8 +84,23 @@ class PrinterService {
     try {
       if (fs.existsSync(cacheFile)) {
         const data = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-        data.forEach(id => this.printedTasks.add(id));
-        console.log(`Loaded ${this.printedTasks.size} previously printed tasks`);
+        if (Array.isArray(data)) {
+          // Old format: plain list of task IDs, no fields to compare against
+          const printed = this.getPrintedTasks(this.defaultPrinter);
+          data.forEach(id => printed.set(id, { fingerprint: null, fields: null }));
+        } else if (!data.printers) {
+          // Single printer format: task ID -> entry, the tickets of the default printer
+          const printed = this.getPrintedTasks(this.defaultPrinter);
+          Object.entries(data).forEach(([id, entry]) => printed.set(id, entry));
+        } else {
+          Object.entries(data.printers).forEach(([name, tasks]) => {
+            const printed = this.getPrintedTasks(name);
+            Object.entries(tasks).forEach(([id, entry]) => printed.set(id, entry));
+          });
+          this.history = new PrintHistory(data.history);
+        }
+        const count = [...this.printedTasks.values()].reduce((sum, printed) => sum + printed.size, 0);
+        console.log(`Loaded ${count} previously printed tasks`);
       }
     } catch (err) {
       console.warn('Could not load printed tasks cache:', err.message);
@@ -42,45 +116,349 @@ class PrinterService {
     const cacheFile = path.join(__dirname, '../../.printed-tasks.json');
 
     try {
-      fs.writeFileSync(cacheFile, JSON.stringify([...this.printedTasks]), 'utf8');
+      const printers = [...this.printedTasks].map(([name, printed]) => [name, Object.fromEntries(printed)]);
+      const data = { printers: Object.fromEntries(printers), history: this.history.toJSON() };
+      fs.writeFileSync(cacheFile, JSON.stringify(data, null, 2), 'utf8');
     } catch (err) {
       console.warn('Could not save printed tasks cache:', err.message);
     }
   }
 
   /**
-   * Check if task was already printed
+   * A configured printer by name (the default printer without a name)
+   */
+  getPrinter(name = this.defaultPrinter) {
+    const printer = this.printers.get(name);
+    if (!printer) {
+      throw new Error(`Unknown printer "${name}" (configured: ${[...this.printers.keys()].join(', ')})`);
+    }
+    return printer;
+  }
+
+  /**
+   * Name of the printer a task's ticket goes to (see utils/routing.js)
+   */
+  routeTask(task) {
+    return routeTask(task, config.routing.rules, this.defaultPrinter);
+  }
+
+  /**
+   * Split tasks by the printer they are routed to: [[name, tasks], ...]
+   * in the order of the configured printers
+   */
+  groupByPrinter(tasks) {
+    return [...this.printers.keys()]
+      .map(name => [name, tasks.filter(task => this.routeTask(task) === name)])
+      .filter(([, routed]) => routed.length > 0);
+  }
+
+  /**
+   * Printed tickets of a printer: task ID -> entry
+   */
+  getPrintedTasks(printerName) {
+    if (!this.printedTasks.has(printerName)) {
+      this.printedTasks.set(printerName, new Map());
+    }
+    return this.printedTasks.get(printerName);
+  }
+
+  /**
+   * Check if task was already printed on a printer (and its ticket is
+   * still on that printer's board)
+   */
+  isAlreadyPrinted(taskId, printerName = this.defaultPrinter) {
+    const entry = this.getPrintedTasks(printerName).get(taskId);
+    return Boolean(entry) && !entry.removed;
+  }
+
+  /**
+   * Names of the printers whose board has a ticket of the task
+   */
+  getTicketPrinters(taskId) {
+    return [...this.printers.keys()].filter(name => this.isAlreadyPrinted(taskId, name));
+  }
+
+  /**
+   * Printer for slips about a task: the one its ticket hangs at, else the default
+   */
+  getTicketPrinter(taskId) {
+    return this.getTicketPrinters(taskId)[0] || this.defaultPrinter;
+  }
+
+  /**
+   * IDs of all tasks whose ticket is currently on a board. Tickets from the
+   * old ID-only cache only count once their task was seen again (and its
+   * fields recorded), so an upgrade doesn't turn every task ever printed
+   * into a removal slip.
+   */
+  getBoardTaskIds() {
+    const ids = [...this.printers.keys()].flatMap(name =>
+      [...this.getPrintedTasks(name)]
+        .filter(([id, entry]) => entry.fields && this.isAlreadyPrinted(id, name))
+        .map(([id]) => id)
+    );
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Mark task as printed on a printer, remembering the fields on the ticket,
+   * and count the print in the sprint history ({ printed: false } records
+   * the ticket without counting a print)
+   */
+  markPrinted(task, printerName = this.routeTask(task), { printed = true } = {}) {
+    const fields = this.getPrintedFields(task);
+    const printedTasks = this.getPrintedTasks(printerName);
+
+    // A ticket already on the board keeps its column until printColumnMoves
+    // reports the move (e.g. an UPDATED ticket for a task that also moved)
+    const existing = this.isAlreadyPrinted(task.id, printerName) ? printedTasks.get(task.id) : null;
+    const column = existing?.column ?? existing?.fields?.columns ?? this.getColumn(task);
+
+    printedTasks.set(task.id, {
+      fingerprint: this.fingerprint(fields),
+      fields,
+      column,
+      sprint: sprintKey(task.sprint),
+      printedAt: new Date().toISOString(),
+    });
+    this.history.recordPrint(task, printerName, { printed });
+    this.savePrintedTasks();
+  }
+
+  /**
+   * Whether the task moved on to another sprint since its ticket on a
+   * printer was printed (tickets from before the sprint history have no sprint)
+   */
+  isCarriedOver(task, printerName = this.routeTask(task)) {
+    const entry = this.getPrintedTasks(printerName).get(task.id);
+    if (!task.sprint || !entry?.sprint || entry.sprint === NO_SPRINT) return false;
+    return entry.sprint !== sprintKey(task.sprint);
+  }
+
+  /**
+   * Note new sprints and the board tickets whose task was carried over to
+   * another sprint. Carried over tasks get carriedFrom (the old sprint's
+   * name) for their ticket; with CARRY_OVER_REPRINT their ticket is printed
+   * again, otherwise it moves to the new sprint as is.
+   * Returns the carried over tasks
+   */
+  trackSprints(tasks) {
+    const seen = new Set();
+    const carried = [];
+
+    tasks.forEach(task => {
+      if (task.sprint && !this.history.hasSprint(task.sprint) && !seen.has(task.sprint.phid)) {
+        console.log(`[SPRINT] New sprint: ${task.sprint.name}`);
+        seen.add(task.sprint.phid);
+      }
+
+      this.getTicketPrinters(task.id).forEach(name => {
+        const entry = this.getPrintedTasks(name).get(task.id);
+
+        // Tickets from before the sprint history join their task's sprint
+        if (entry.sprint === undefined) {
+          if (this.dryRun) return;
+          entry.sprint = sprintKey(task.sprint);
+          this.history.recordPrint(task, name, { at: entry.printedAt || undefined });
+          return;
+        }
+
+        if (!this.isCarriedOver(task, name)) return;
+
+        task.carriedFrom = this.history.getName(entry.sprint);
+        console.log(`[CARRY] ${task.id} carried over from ${task.carriedFrom} to ${task.sprint.name}${this.describeTarget(name)}`);
+        if (!carried.includes(task)) carried.push(task);
+        if (this.dryRun) return;
+
+        this.history.recordCarryOver(task, entry.sprint);
+        if (!config.history.carryOverReprint) {
+          entry.sprint = sprintKey(task.sprint);
+          this.history.recordPrint(task, name, { printed: false });
+        }
+      });
+    });
+
+    if (!this.dryRun) {
+      tasks.forEach(task => this.history.ensureSprint(task.sprint));
+      this.savePrintedTasks();
+    }
+
+    return carried;
+  }
+
+  /**
+   * Whether a carried over task's ticket is printed again (CARRY_OVER_REPRINT)
+   */
+  needsCarryOverReprint(task, printerName = this.routeTask(task)) {
+    return config.history.carryOverReprint && this.isCarriedOver(task, printerName);
+  }
+
+  /**
+   * Board column(s) a task is currently in, as shown on the ticket
+   */
+  getColumn(task) {
+    return (task.columns || []).join(', ');
+  }
+
+  /**
+   * Snapshot of the tracked fields as they appear on the ticket
+   */
+  getPrintedFields(task) {
+    const fields = {};
+    Object.keys(TRACKED_FIELDS).forEach(field => {
+      const value = task[field];
+      fields[field] = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+    });
+    return fields;
+  }
+
+  /**
+   * Hash of a printed fields snapshot
+   */
+  fingerprint(fields) {
+    return crypto.createHash('sha1').update(JSON.stringify(fields)).digest('hex');
+  }
+
+  /**
+   * Compare a task against its printed ticket and list the changed
+   * fields that should trigger a reprint
    */
-  isAlreadyPrinted(taskId) {
-    return this.printedTasks.has(taskId);
+  getChanges(task, printerName = this.routeTask(task)) {
+    const entry = this.getPrintedTasks(printerName).get(task.id);
+    if (!entry?.fields) return [];
+
+    const fields = this.getPrintedFields(task);
+    if (this.fingerprint(fields) === entry.fingerprint) return [];
+
+    return config.printer.reprintFields
+      .filter(field => field in TRACKED_FIELDS && fields[field] !== entry.fields[field])
+      .map(field => ({
+        field,
+        label: TRACKED_FIELDS[field],
+        from: entry.fields[field],
+        to: fields[field],
+      }));
   }
 
   /**
-   * Mark task as printed
+   * Remember the current fields of a ticket that is not reprinted because
+   * only tracked fields outside REPRINT_FIELDS changed, so later polls
+   * compare against them instead of reporting the old change again
    */
-  markPrinted(taskId) {
-    this.printedTasks.add(taskId);
+  refreshFields(task, printerName = this.routeTask(task)) {
+    const entry = this.getPrintedTasks(printerName).get(task.id);
+    const fields = this.getPrintedFields(task);
+    const fingerprint = this.fingerprint(fields);
+    if (entry.fingerprint === fingerprint) return;
+
+    // Entries from before the column was stored keep the column to move from
+    entry.column = entry.column ?? entry.fields.columns;
+    Object.assign(entry, { fields, fingerprint });
     this.savePrintedTasks();
   }
 
   /**
-   * Clear the printed tasks cache (for reprinting all)
+   * Format a change as ticket lines, e.g. "Priority: Normal → High"
+   * Long values are split over two lines
+   */
+  formatChangeLines(change, maxWidth) {
+    const line = `${change.label}: ${change.from || 'N/A'} → ${change.to || 'N/A'}`;
+    if (line.length <= maxWidth) return [line];
+
+    return [
+      `${change.label}:`,
+      this.truncate(`  ${change.from || 'N/A'}`, maxWidth),
+      this.truncate(`→ ${change.to || 'N/A'}`, maxWidth),
+    ];
+  }
+
+  /**
+   * Record the board column a printed ticket now hangs in
+   * (on the given printer, or every printer with a ticket of the task)
+   */
+  setColumn(taskId, column, printerName = null) {
+    const names = printerName ? [printerName] : this.getTicketPrinters(taskId);
+    names.forEach(name => {
+      const entry = this.getPrintedTasks(name).get(taskId);
+      if (entry) entry.column = column;
+    });
+    this.savePrintedTasks();
+  }
+
+  /**
+   * Record that a ticket was taken off the board
+   * (of the given printer, or of every printer with a ticket of the task)
+   */
+  markRemoved(taskId, reason, printerName = null) {
+    const names = printerName ? [printerName] : this.getTicketPrinters(taskId);
+    names.forEach(name => {
+      const entry = this.getPrintedTasks(name).get(taskId);
+      if (!entry) return;
+      entry.removed = { reason, at: new Date().toISOString() };
+      if (entry.sprint) this.history.recordRemoval(taskId, entry.sprint, reason);
+    });
+    this.savePrintedTasks();
+  }
+
+  /**
+   * Printed state of a task for display: 'printed', 'removed' or 'not printed',
+   * with the printer of the ticket
+   */
+  getPrintedState(taskId) {
+    const names = [...this.printers.keys()];
+    const name = names.find(n => this.isAlreadyPrinted(taskId, n)) ||
+      names.find(n => this.getPrintedTasks(n).has(taskId));
+    if (!name) return { state: 'not printed' };
+
+    const entry = this.getPrintedTasks(name).get(taskId);
+    if (entry.removed) return { state: 'removed', printer: name, at: entry.removed.at, reason: entry.removed.reason };
+    return { state: 'printed', printer: name, at: entry.printedAt || null };
+  }
+
+  /**
+   * Clear the printed tasks cache of all printers and the sprint history
+   * (for reprinting all)
    */
   clearCache() {
     this.printedTasks.clear();
+    this.history = new PrintHistory();
     this.savePrintedTasks();
     console.log('Printed tasks cache cleared');
   }
 
   /**
-   * Get printer device based on configuration
+   * Forget one sprint: its history and the board tickets of its tasks, so
+   * they print again. Other sprints are kept.
+   * Returns the number of board tickets forgotten
    */
-  getDevice() {
-    if (config.printer.type === 'network') {
-      const Network = require('escpos-network');
-      return new Network(config.printer.networkHost, config.printer.networkPort);
-    }
-    return new this.escpos.USB();
+  resetSprint(key) {
+    let count = 0;
+    this.printedTasks.forEach(printed => {
+      printed.forEach((entry, taskId) => {
+        if ((entry.sprint || NO_SPRINT) !== key) return;
+        printed.delete(taskId);
+        count++;
+      });
+    });
+
+    this.history.reset(key);
+    this.savePrintedTasks();
+    return count;
+  }
+
+  /**
+   * Get the device of a printer
+   * (name is used for the output file of the 'file' printer type)
+   */
+  getDevice(name = 'ticket', printerName = this.defaultPrinter) {
+    return createDevice(this.getPrinter(printerName), name);
+  }
+
+  /**
+   * Characters per line for a printer's paper width (font A)
+   */
+  getMaxWidth(printerName = this.defaultPrinter) {
+    return this.getPrinter(printerName).paperWidth === 80 ? 48 : 32;
   }
 
   /**
@@ -88,124 +466,614 @@ class PrinterService {
    */
   truncate(str, maxLen) {
     if (!str) return '';
-    return str.length > maxLen ? str.substring(0, maxLen - 3) + '...' : str;
+    return truncate(str, maxLen);
   }
 
   /**
-   * Simulate printing a task (dry-run mode)
+   * Format project names as tags, e.g. "#Backend #Sprint 12"
+   */
+  formatTags(projects) {
+    return projects.map(name => `#${name}`).join(' ');
+  }
+
+  /**
+   * Full-width rule, in box drawing characters when the code page has them
+   */
+  getSeparator(width) {
+    return transliterate('─', this.codePage).repeat(width);
+  }
+
+  /**
+   * Values available to the ticket layout, transliterated to the code page
+   * (before wrapping, so replacements like "..." are counted in the width)
+   */
+  getTicketContext(task, changes = null, printerName = this.routeTask(task)) {
+    const maxWidth = this.getMaxWidth(printerName);
+
+    return transliterateValues({
+      ...task,
+      column: this.getColumn(task) || 'N/A',
+      tags: this.formatTags(task.projects || []),
+      ownerBand: this.getOwnerBand(task),
+      sprint: task.sprint?.name || '',
+      carriedFrom: task.carriedFrom || '',
+      parent: config.printer.parentTask ? (task.parents || []).map(parent => `${parent.id} ${parent.title}`) : [],
+      subtaskLines: config.printer.subtasks ? this.formatSubtaskLines(task.subtasks || []) : [],
+      subtaskProgress: this.formatSubtaskProgress(task.subtasks || []),
+      updated: Boolean(changes),
+      changeLines: (changes || []).flatMap(change => this.formatChangeLines(change, maxWidth)),
+      qrCode: config.printer.qrCode && Boolean(task.url),
+      description: config.printer.description ? task.description || '' : '',
+      titleMaxLines: config.printer.titleMaxLines,
+      descriptionMaxLines: config.printer.descriptionMaxLines,
+    }, this.codePage);
+  }
+
+  /**
+   * Checklist lines of an epic's subtasks, e.g. "[x] T124 Design the form"
+   * (at most SUBTASKS_MAX_LINES, then a count of the rest)
    */
-  simulatePrint(task) {
-    const maxWidth = config.printer.paperWidth === 80 ? 48 : 32;
-    const separator = '─'.repeat(maxWidth);
+  formatSubtaskLines(subtasks) {
+    const max = config.printer.subtasksMaxLines;
+    const lines = subtasks.slice(0, max).map(subtask => `[${subtask.closed ? 'x' : ' '}] ${subtask.id} ${subtask.title}`);
+    if (subtasks.length > max) {
+      lines.push(`    + ${subtasks.length - max} more`);
+    }
+    return lines;
+  }
+
+  /**
+   * Closed subtasks out of all, e.g. "2/5 done" (empty without subtasks)
+   */
+  formatSubtaskProgress(subtasks) {
+    if (subtasks.length === 0) return '';
+    return `${subtasks.filter(subtask => subtask.closed).length}/${subtasks.length} done`;
+  }
 
+  /**
+   * Text of the owner band (OWNER_BAND): the owner's name or initials,
+   * by default the name when a team is set; empty without a band
+   */
+  getOwnerBand(task) {
+    const { teamMembers, teamProject } = config.filters;
+    let mode = config.printer.ownerBand;
+    if (mode === 'auto') {
+      mode = teamMembers.length > 0 || teamProject ? 'name' : 'none';
+    }
+
+    if (mode === 'none' || (task.ownerPhid && !task.owner)) return '';
+    if (!task.ownerPhid) return mode === 'name' ? 'Unassigned' : '?';
+    return mode === 'name' ? task.owner : task.ownerInitials;
+  }
+
+  /**
+   * Resolve the ticket layout for a task into print items for a printer
+   * (text from the layout itself is transliterated too)
+   */
+  buildTicket(task, changes = null, printerName = this.routeTask(task)) {
+    const maxWidth = this.getMaxWidth(printerName);
+    const context = this.getTicketContext(task, changes, printerName);
+    return buildTicket(this.layout, context, { maxWidth }).map(item => {
+      if (item.type === 'text') return { ...item, text: transliterate(item.text, this.codePage) };
+      if (item.type === 'separator') return { ...item, char: transliterate(item.char, this.codePage) };
+      return item;
+    });
+  }
+
+  /**
+   * Text preview of a ticket, as drawn in dry-run mode
+   */
+  renderPreview(task, changes = null, printerName = this.routeTask(task)) {
+    return renderConsole(this.buildTicket(task, changes, printerName), { maxWidth: this.getMaxWidth(printerName) });
+  }
+
+  /**
+   * Simulate printing a task (dry-run mode)
+   */
+  simulatePrint(task, changes = null, printerName = this.routeTask(task)) {
     console.log('');
-    console.log('┌' + '─'.repeat(maxWidth + 2) + '┐');
-    console.log('│' + task.id.padStart((maxWidth + 2 + task.id.length) / 2).padEnd(maxWidth + 2) + '│');
-    console.log('│' + separator.padStart((maxWidth + 2 + separator.length) / 2).padEnd(maxWidth + 2) + '│');
-    console.log('│ ' + this.truncate(task.title, maxWidth).padEnd(maxWidth) + ' │');
-    console.log('│' + ' '.repeat(maxWidth + 2) + '│');
-    console.log('│ ' + `Priority: ${task.priority}`.padEnd(maxWidth) + ' │');
-    console.log('│ ' + `Points:   ${task.points}`.padEnd(maxWidth) + ' │');
-    console.log('│ ' + `Status:   ${task.status}`.padEnd(maxWidth) + ' │');
-    console.log('│' + ' '.repeat(maxWidth + 2) + '│');
-    console.log('│ ' + `Column: ${task.columns.join(', ') || 'N/A'}`.substring(0, maxWidth).padEnd(maxWidth) + ' │');
-    console.log('│' + ' '.repeat(maxWidth + 2) + '│');
-    // console.log('│' + separator.padStart((maxWidth + 2 + separator.length) / 2).padEnd(maxWidth + 2) + '│');
-    console.log('└' + '─'.repeat(maxWidth + 2) + '┘');
+    this.renderPreview(task, changes, printerName).forEach(line => console.log(line));
     console.log('');
 
     return true;
   }
 
   /**
-   * Print a single task ticket
+   * Whether a task needs a ticket on a printer: not printed there yet,
+   * tracked fields changed, or carried over with CARRY_OVER_REPRINT
    */
-  async printTask(task) {
-    if (this.isAlreadyPrinted(task.id)) {
-      console.log(`[SKIP] ${task.id} already printed`);
-      return false;
+  needsPrint(task, printerName = this.routeTask(task)) {
+    return !this.isAlreadyPrinted(task.id, printerName) || this.getChanges(task, printerName).length > 0 ||
+      this.needsCarryOverReprint(task, printerName);
+  }
+
+  /**
+   * Print a single task ticket on the printer it is routed to
+   * With { force: true } a fresh ticket is printed even if it was already printed,
+   * with { cut: false } the paper is not cut after it (next ticket of a group),
+   * with { track: false } a task not on the board is printed without being
+   * added to it, { printer } overrides the route
+   * Returns 'printed', 'updated' (UPDATED ticket) or false when skipped
+   */
+  async printTask(task, { force = false, cut = true, track = true, printer: printerName = this.routeTask(task) } = {}) {
+    // Already printed tickets are only reprinted when tracked fields changed
+    let changes = null;
+    if (!force && this.isAlreadyPrinted(task.id, printerName) && !this.needsCarryOverReprint(task, printerName)) {
+      changes = this.getChanges(task, printerName);
+      if (changes.length === 0) {
+        this.skipTask(task, printerName);
+        return false;
+      }
+      console.log(`[UPDATE] ${task.id} changed: ${changes.map(c => c.field).join(', ')}`);
     }
 
     // Dry-run mode: simulate printing
     if (this.dryRun) {
-      console.log(`[DRY-RUN] Simulating print for ${task.id}`);
-      this.simulatePrint(task);
+      console.log(`[DRY-RUN] Simulating print for ${task.id}${this.describeTarget(printerName)}`);
+      this.simulatePrint(task, changes, printerName);
       // Don't mark as printed in dry-run mode
-      return true;
+      return changes ? 'updated' : 'printed';
     }
 
-    const device = this.getDevice();
-    const options = { encoding: 'UTF-8' };
-    const printer = new this.escpos.Printer(device, options);
+    try {
+      const maxWidth = this.getMaxWidth(printerName);
+      const { paperWidth } = this.getPrinter(printerName);
+      const items = this.buildTicket(task, changes, printerName);
 
-    return new Promise((resolve, reject) => {
-      device.open(err => {
+      await this.withPrinter(printer => {
+        renderEscpos(printer, items, { maxWidth, paperWidth });
+        if (cut) {
+          printer.cut();
+        }
+      }, changes ? `${task.id}-updated` : task.id, printerName);
+    } catch (printErr) {
+      console.error(`[ERROR] Print failed for ${task.id}:`, printErr.message);
+      throw printErr;
+    }
+
+    if (track || this.isAlreadyPrinted(task.id, printerName)) {
+      this.markPrinted(task, printerName);
+    }
+    console.log(`[PRINT] ${task.id}${changes ? ' (UPDATED)' : ''}${this.describeTarget(printerName)}: ${this.truncate(task.title, 40)}`);
+    return changes ? 'updated' : 'printed';
+  }
+
+  /**
+   * Print tickets in the given order even if already printed (e.g. a task
+   * and its subtasks), each on the printer it is routed to. Tasks not on the
+   * board are not added to it, so they get no removal slip later.
+   * Returns the printed, updated and failed tasks
+   */
+  async printInOrder(tasks, delayMs = 0) {
+    if (!this.dryRun) {
+      // Queued behind everything else, in place of queued tickets of the same tasks
+      this.groupByPrinter(tasks).forEach(([printerName, routed]) => {
+        this.queue.addBatch(printerName, routed.map(task =>
+          ({ type: 'ticket', task, force: true, cut: true, track: false, printer: printerName })));
+      });
+      return this.processQueue(delayMs);
+    }
+
+    const results = { printed: [], updated: [], failed: [] };
+    for (const task of tasks) {
+      results[await this.printTask(task, { force: true, track: false })].push(task);
+    }
+    return results;
+  }
+
+  /**
+   * Log text naming the printer, e.g. " on mobile" (empty with one printer)
+   */
+  describeTarget(printerName, prefix = ' on ') {
+    return this.printers.size > 1 ? `${prefix}${printerName}` : '';
+  }
+
+  /**
+   * Log an unchanged, already printed task
+   */
+  skipTask(task, printerName = this.routeTask(task)) {
+    // Tickets from the old ID-only cache get their fields recorded now
+    if (!this.getPrintedTasks(printerName).get(task.id).fields && !this.dryRun) {
+      this.markPrinted(task, printerName, { printed: false });
+    } else if (!this.dryRun) {
+      this.refreshFields(task, printerName);
+    }
+    console.log(`[SKIP] ${task.id} already printed`);
+  }
+
+  /**
+   * Open the printer, check its status, let render() queue the commands,
+   * flush, check the status again and close. Resolves once the device has
+   * taken all the data; rejects when the printer reports a problem before
+   * or after the job, so the job stays queued. Jobs of one printer run one
+   * at a time (polls and dashboard share the device).
+   */
+  withPrinter(render, name, printerName = this.defaultPrinter) {
+    const target = this.getPrinter(printerName);
+    const job = target.printLock.then(() => new Promise((resolve, reject) => {
+      const device = this.getDevice(name, printerName);
+      const options = { encoding: this.codePage.encoding };
+      const printer = new this.escpos.Printer(device, options);
+
+      device.open(async err => {
         if (err) {
-          console.error(`[ERROR] Could not open printer: ${err.message}`);
+          console.error(`[ERROR] Could not open printer${this.describeTarget(printerName, ' ')}: ${err.message}`);
           return reject(err);
         }
 
         try {
-          const maxWidth = config.printer.paperWidth === 80 ? 48 : 32;
-          const separator = '─'.repeat(maxWidth);
-
-          printer
-            // Header with Task ID
-            .font('a')
-            .align('ct')
-            .size(2, 2)
-            .style('b')
-            .text(task.id)
-            .size(1, 1)
-            .style('normal')
-            .text(separator)
-
-            // Title
-            .align('lt')
-            .style('b')
-            .text(this.truncate(task.title, maxWidth))
-            .style('normal')
-            .text('')
-
-            // Priority and Points
-            .text(`Priority: ${task.priority}`)
-            .text(`Points:   ${task.points}`)
-            .text(`Status:   ${task.status}`)
-            .text('')
-
-            // Column (where it is on the board)
-            .text(`Column: ${task.columns.join(', ') || 'N/A'}`)
-            .text('')
-
-            // Separator
-            .text(separator)
-
-            // URL (small font)
-            .align('ct')
-            .font('b')
-            .size(1, 1)
-            .text(task.url)
-
-            // Feed and cut
-            .feed(4)
-            .cut()
-            .close();
-
-          this.markPrinted(task.id);
-          console.log(`[PRINT] ${task.id}: ${this.truncate(task.title, 40)}`);
-          resolve(true);
-        } catch (printErr) {
-          console.error(`[ERROR] Print failed for ${task.id}:`, printErr.message);
-          reject(printErr);
+          await this.checkStatus(device, 'before', printerName);
+
+          // Select the code page the text is encoded in (ESC t n)
+          if (this.codePage.table !== null) {
+            printer.setCharacterCodeTable(this.codePage.table);
+          }
+          render(printer);
+          await new Promise((flushed, failed) => printer.flush(flushErr => (flushErr ? failed(flushErr) : flushed())));
+
+          await this.checkStatus(device, 'after', printerName);
+        } catch (jobErr) {
+          device.close(() => reject(jobErr));
+          return;
+        }
+
+        device.close(closeErr => (closeErr ? reject(closeErr) : resolve(true)));
+      });
+    }));
+
+    // Keep the lock chain alive when a job fails
+    target.printLock = job.catch(() => {});
+
+    return job.then(
+      result => {
+        target.status = { ...target.status, lastPrintAt: new Date().toISOString(), lastError: null };
+        return result;
+      },
+      err => {
+        target.status = { ...target.status, lastError: err.message };
+        throw err;
+      }
+    );
+  }
+
+  /**
+   * Check the printer status (DLE EOT) of an opened device. Paper out,
+   * cover open or offline throw a PrinterStatusError. A printer that does
+   * not answer STATUS_MISS_LIMIT checks in a row is printed to without
+   * checks for STATUS_RETRY_MS, then asked again.
+   */
+  async checkStatus(device, when, printerName = this.defaultPrinter) {
+    const target = this.getPrinter(printerName);
+    if (!config.printer.statusCheck) return null;
+    if (!target.statusSupported && Date.now() < target.statusRetryAt) return null;
+
+    const name = `the printer${this.describeTarget(printerName, ' ')}`;
+    let status;
+    try {
+      status = await queryStatus(device);
+    } catch (err) {
+      // Connection errors fail the job, silence counts as a missed reply
+      if (!(err instanceof NoStatusReplyError)) throw err;
+      this.missStatusReply(target, name, err);
+      return null;
+    }
+
+    if (!target.statusSupported) {
+      console.log(`[PRINTER] Paper-out detection is back on for ${name}: it answers status checks again`);
+    }
+    target.statusSupported = true;
+    target.statusMisses = 0;
+    target.statusRetryAt = null;
+    if (!status) return null;
+
+    const state = describeStatus(status);
+    if (state !== target.status.state) {
+      const log = status.ready && !status.paperNearEnd ? console.log : console.warn;
+      log(`[PRINTER] Status${this.describeTarget(printerName, ' of ')}: ${state}`);
+    }
+    target.status = { ...target.status, state, stateAt: new Date().toISOString() };
+
+    if (!status.ready) {
+      throw new PrinterStatusError(status, when);
+    }
+    return status;
+  }
+
+  /**
+   * Count a missing status reply; after STATUS_MISS_LIMIT in a row the
+   * checks are turned off for STATUS_RETRY_MS
+   */
+  missStatusReply(target, name, err) {
+    target.statusMisses++;
+    if (target.statusSupported && target.statusMisses < STATUS_MISS_LIMIT) {
+      console.warn(`[PRINTER] No status reply from ${name} (${target.statusMisses} of ${STATUS_MISS_LIMIT} in a row), printing without this check (${err.message})`);
+      return;
+    }
+
+    target.statusSupported = false;
+    target.statusRetryAt = Date.now() + STATUS_RETRY_MS;
+    const retryAt = new Date(target.statusRetryAt).toLocaleTimeString();
+    console.warn(`[PRINTER] Paper-out detection is OFF for ${name}: no reply to ${target.statusMisses} status checks in a row, asking again at ${retryAt} (${err.message})`);
+  }
+
+  /**
+   * Open a printer and read its status, for --printer-status
+   * Resolves to the status, or null when the printer cannot report one
+   */
+  getPrinterStatus(printerName = this.defaultPrinter) {
+    if (this.getPrinter(printerName).type === 'file') {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const device = this.getDevice('status', printerName);
+      device.open(async err => {
+        if (err) return reject(err);
+
+        try {
+          const status = await queryStatus(device);
+          device.close(() => resolve(status));
+        } catch (statusErr) {
+          device.close(() => reject(statusErr));
         }
       });
     });
   }
 
   /**
-   * Print a test ticket
+   * List tickets on a printer's board whose column changed since the last poll
+   */
+  getColumnMoves(tasks, printerName = this.defaultPrinter) {
+    return tasks
+      .filter(task => this.isAlreadyPrinted(task.id, printerName))
+      .map(task => {
+        const entry = this.getPrintedTasks(printerName).get(task.id);
+        return {
+          id: task.id,
+          from: entry.column ?? entry.fields?.columns,
+          to: this.getColumn(task),
+        };
+      })
+      .filter(move => move.from != null && move.from !== move.to);
+  }
+
+  /**
+   * Format a move as slip lines, e.g. "MOVE T1234: To Do → Doing"
+   */
+  formatMoveLines(move, maxWidth) {
+    const line = `MOVE ${move.id}: ${move.from || 'N/A'} → ${move.to || 'N/A'}`;
+    if (line.length <= maxWidth) return [line];
+
+    return [
+      `MOVE ${move.id}:`,
+      this.truncate(`  ${move.from || 'N/A'} → ${move.to || 'N/A'}`, maxWidth),
+    ];
+  }
+
+  /**
+   * Print one slip per printer listing every ticket on its board that moved
+   * column since the last poll (tickets routed to another printer come off
+   * the board instead, see printRerouted)
+   * Returns the number of moves on the slips
+   */
+  async printColumnMoves(tasks) {
+    let count = 0;
+
+    for (const [printerName, routed] of this.groupByPrinter(tasks)) {
+      const moves = this.getColumnMoves(routed, printerName);
+      if (moves.length === 0) continue;
+
+      const maxWidth = this.getMaxWidth(printerName);
+      const lines = moves.flatMap(move => this.formatMoveLines(move, maxWidth));
+      moves.forEach(move => console.log(`[MOVE] ${move.id}: ${move.from || 'N/A'} → ${move.to || 'N/A'}`));
+
+      await this.printSlip('BOARD MOVES', lines, 'moves', printerName);
+
+      if (!this.dryRun) {
+        moves.forEach(move => this.setColumn(move.id, move.to, printerName));
+      }
+      count += moves.length;
+    }
+
+    return count;
+  }
+
+  /**
+   * Format a removal as slip lines: ID and reason, then the ticket title
+   */
+  formatRemovalLines(removal, maxWidth, printerName = this.defaultPrinter) {
+    const lines = [this.truncate(`${removal.id}: ${removal.reason}`, maxWidth)];
+    const title = this.getPrintedTasks(printerName).get(removal.id)?.fields?.title;
+    if (title) {
+      lines.push(this.truncate(`  ${title}`, maxWidth));
+    }
+    return lines;
+  }
+
+  /**
+   * Print one slip per printer listing the tickets to take off its board.
+   * A removal with a printer name only concerns that printer's board,
+   * otherwise every board with a ticket of the task.
+   * Returns the number of tickets on the slips
+   */
+  async printRemovals(removals) {
+    let count = 0;
+
+    for (const printerName of this.printers.keys()) {
+      const onBoard = removals.filter(removal =>
+        (removal.printer || printerName) === printerName && this.isAlreadyPrinted(removal.id, printerName)
+      );
+      if (onBoard.length === 0) continue;
+
+      const maxWidth = this.getMaxWidth(printerName);
+      const lines = onBoard.flatMap(removal => this.formatRemovalLines(removal, maxWidth, printerName));
+      onBoard.forEach(removal => console.log(`[REMOVE] ${removal.id}${this.describeTarget(printerName, ' from ')}: ${removal.reason}`));
+
+      await this.printSlip('REMOVE FROM BOARD', lines, 'removals', printerName);
+
+      if (!this.dryRun) {
+        onBoard.forEach(removal => this.markRemoved(removal.id, removal.reason, printerName));
+      }
+      count += onBoard.length;
+    }
+
+    return count;
+  }
+
+  /**
+   * Print removal slips for tickets whose task is now routed to another
+   * printer (e.g. moved to the other team's column or project); the new
+   * printer prints a fresh ticket
+   * Returns the number of tickets on the slips
+   */
+  async printRerouted(tasks) {
+    const removals = tasks.flatMap(task => {
+      const target = this.routeTask(task);
+      return this.getTicketPrinters(task.id)
+        .filter(name => name !== target)
+        .map(name => ({ id: task.id, reason: `moved to printer ${target}`, printer: name }));
+    });
+
+    return this.printRemovals(removals);
+  }
+
+  /**
+   * Format a summary row, e.g. "Doing            3 tasks   5 pts"
+   */
+  formatSummaryRow(group, maxWidth) {
+    const count = `${group.count} task${group.count === 1 ? '' : 's'}`;
+    const right = `${count.padEnd(9)}${formatPoints(group.points).padStart(4)} pts`;
+    const label = this.truncate(group.name, maxWidth - right.length - 1);
+    return label.padEnd(maxWidth - right.length) + right;
+  }
+
+  /**
+   * Lines of the sprint summary receipt: columns, total, priorities
+   * and one line per task
+   */
+  formatSummaryLines(tasks, printerName = this.defaultPrinter) {
+    const maxWidth = this.getMaxWidth(printerName);
+    const separator = this.getSeparator(maxWidth);
+    const summary = summarizeSprint(tasks, config.filters.sprintColumns);
+    const unestimated = group => (group.unestimated > 0 ? [`  ${group.unestimated} without points`] : []);
+
+    const lines = [];
+    summary.columns.forEach(group => {
+      lines.push(this.formatSummaryRow(group, maxWidth), ...unestimated(group));
+    });
+    lines.push(separator, this.formatSummaryRow(summary.total, maxWidth), ...unestimated(summary.total));
+
+    lines.push(separator, 'By priority:');
+    summary.priorities.forEach(group => lines.push(this.formatSummaryRow(group, maxWidth)));
+
+    // Tasks by column, highest priority first
+    lines.push(separator);
+    summary.columns.forEach(group => {
+      const byPriority = [...group.tasks].sort((a, b) => (b.priorityValue ?? -1) - (a.priorityValue ?? -1));
+      byPriority.forEach(task => {
+        const points = parsePoints(task.points);
+        const prefix = `${task.id.padEnd(7)}${(points === null ? '-' : formatPoints(points)).padStart(3)} `;
+        lines.push(this.truncate(prefix + task.title, maxWidth));
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Print the sprint summary receipt; with several printers each one gets
+   * the summary of the tasks routed to it
+   */
+  async printSummary(tasks) {
+    const groups = this.groupByPrinter(tasks);
+    if (groups.length === 0) {
+      return this.printSlip('SPRINT SUMMARY', ['No tasks in the sprint columns'], 'summary');
+    }
+
+    for (const [printerName, routed] of groups) {
+      await this.printSlip('SPRINT SUMMARY', this.formatSummaryLines(routed, printerName), 'summary', printerName);
+    }
+    return true;
+  }
+
+  /**
+   * Print (or simulate) a short slip on a printer; kind names the output file.
+   * Real slips go through the print queue, so they are printed later if
+   * the printer is unavailable.
+   */
+  async printSlip(title, lines, kind = 'slip', printerName = this.defaultPrinter) {
+    title = transliterate(title, this.codePage);
+    lines = lines.map(line => transliterate(line, this.codePage));
+
+    if (this.dryRun) {
+      console.log(`[DRY-RUN] Simulating ${title} slip${this.describeTarget(printerName)}`);
+      this.simulateSlip(title, lines, printerName);
+      return true;
+    }
+
+    this.queue.add({ type: 'slip', title, lines, kind, printer: printerName });
+    await this.processQueue();
+    return true;
+  }
+
+  /**
+   * Unique output name for a slip, e.g. "moves-2024-05-02T09-30-00"
+   */
+  slipName(kind) {
+    return `${kind}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}`;
+  }
+
+  /**
+   * Queue a short slip (title, lines, timestamp) on the printer
    */
-  async printTest() {
+  renderSlip(printer, title, lines, printerName = this.defaultPrinter) {
+    const maxWidth = this.getMaxWidth(printerName);
+    const separator = this.getSeparator(maxWidth);
+
+    printer
+      .font('a')
+      .align('ct')
+      .style('b')
+      .text(title)
+      .style('normal')
+      .text(separator)
+      .align('lt');
+
+    lines.forEach(line => printer.text(line));
+
+    printer
+      .align('ct')
+      .text(separator)
+      .text(new Date().toLocaleString())
+      .feed(2)
+      .cut();
+  }
+
+  /**
+   * Simulate printing a slip (dry-run mode)
+   */
+  simulateSlip(title, lines, printerName = this.defaultPrinter) {
+    const maxWidth = this.getMaxWidth(printerName);
+    const separator = this.getSeparator(maxWidth);
+    const timestamp = new Date().toLocaleString();
+
+    console.log('');
+    console.log('┌' + '─'.repeat(maxWidth + 2) + '┐');
+    console.log('│' + title.padStart((maxWidth + 2 + title.length) / 2).padEnd(maxWidth + 2) + '│');
+    console.log('│ ' + separator + ' │');
+    lines.forEach(line => console.log('│ ' + line.padEnd(maxWidth) + ' │'));
+    console.log('│ ' + separator + ' │');
+    console.log('│' + timestamp.padStart((maxWidth + 2 + timestamp.length) / 2).padEnd(maxWidth + 2) + '│');
+    console.log('└' + '─'.repeat(maxWidth + 2) + '┘');
+    console.log('');
+
+    return true;
+  }
+
+  /**
+   * Print a test ticket (on the default or the given printer)
+   */
+  async printTest(printerName = this.defaultPrinter) {
     const testTask = {
       id: 'T00000',
       title: 'Test Ticket - PhabPrint',
@@ -216,34 +1084,276 @@ class PrinterService {
       url: 'https://phabricator.example.com/T00000',
     };
 
-    // Temporarily allow printing test task
-    this.printedTasks.delete(testTask.id);
+    // Temporarily allow printing test task (unknown printer names throw here)
+    this.getPrinter(printerName);
+    this.getPrintedTasks(printerName).delete(testTask.id);
+
+    return this.printTask(testTask, { printer: printerName });
+  }
+
+  /**
+   * Header of a group of tickets, e.g. "── DOING (4) ──"
+   */
+  formatGroupHeader(group, printerName = this.defaultPrinter) {
+    const rule = this.getSeparator(2);
+    const label = `${group.name.toUpperCase()} (${group.tasks.length})`;
+    return transliterate(`${rule} ${this.truncate(label, this.getMaxWidth(printerName) - 6)} ${rule}`, this.codePage);
+  }
+
+  /**
+   * Queue a group header; without { cut: false } it is a slip of its own
+   */
+  renderGroupHeader(printer, header, { cut = true } = {}) {
+    printer
+      .font('a')
+      .align('ct')
+      .style('b')
+      .text(header)
+      .style('normal')
+      .align('lt');
+
+    if (cut) {
+      printer.feed(2).cut();
+    } else {
+      printer.feed(1);
+    }
+  }
 
-    return this.printTask(testTask);
+  /**
+   * Simulate printing a group header (dry-run mode)
+   */
+  simulateGroupHeader(header, printerName = this.defaultPrinter) {
+    const width = this.getMaxWidth(printerName) + 4;
+    console.log('');
+    console.log(header.padStart((width + header.length) / 2));
   }
 
   /**
-   * Print multiple tasks with delay between each
+   * Print multiple tasks with delay between each, each on the printer it is
+   * routed to, in the configured order and groups (see utils/print-order.js).
+   * With CUT_BETWEEN_GROUPS the paper is only cut after the last ticket of a group.
+   * Returns the printed, updated and failed tasks
    */
   async printTasks(tasks, delayMs = 1000) {
-    let printedCount = 0;
+    // Only the tickets to print count for the order and the group headers
+    const pending = tasks.filter(task => {
+      if (this.needsPrint(task)) return true;
+      this.skipTask(task);
+      return false;
+    });
+
+    // Every printer gets its own ordered and grouped batch: [{ name, tasks, printer }]
+    const { sortBy, groupBy, cutBetweenGroups } = config.printer;
+    const groups = this.groupByPrinter(pending).flatMap(([printerName, routed]) =>
+      orderTasks(routed, { sortBy, groupBy, sprintColumns: config.filters.sprintColumns })
+        .map(group => ({ ...group, printer: printerName }))
+    );
+
+    if (!this.dryRun) {
+      // Queue each printer's headers and tickets as one batch, then work through the queue in order
+      const batches = new Map();
+      groups.forEach(group => {
+        const jobs = batches.get(group.printer) || [];
+        if (group.name !== null) {
+          const title = this.formatGroupHeader(group, group.printer);
+          const taskIds = group.tasks.map(task => task.id);
+          jobs.push({ type: 'header', title, group: group.name, taskIds, cut: !cutBetweenGroups, printer: group.printer });
+        }
+        group.tasks.forEach((task, index) => {
+          const cut = !cutBetweenGroups || index === group.tasks.length - 1;
+          jobs.push({ type: 'ticket', task, force: false, cut, printer: group.printer });
+        });
+        batches.set(group.printer, jobs);
+      });
+      batches.forEach((jobs, printerName) => this.queue.addBatch(printerName, jobs));
+      return this.processQueue(delayMs);
+    }
+
+    const results = { printed: [], updated: [], failed: [] };
+
+    for (const group of groups) {
+      if (group.name !== null) {
+        const header = this.formatGroupHeader(group, group.printer);
+        console.log(`[DRY-RUN] Simulating group header ${header}${this.describeTarget(group.printer)}`);
+        this.simulateGroupHeader(header, group.printer);
+      }
+
+      for (const task of group.tasks) {
+        try {
+          const outcome = await this.printTask(task, { printer: group.printer });
+          if (outcome) {
+            results[outcome].push(task);
+            // Delay between prints to avoid overwhelming printer
+            if (task !== pending[pending.length - 1]) {
+              await this.sleep(delayMs);
+            }
+          }
+        } catch (err) {
+          console.error(`[ERROR] Failed to print ${task.id}:`, err.message);
+          results.failed.push({ ...task, error: err.message });
+        }
+      }
+
+      if (cutBetweenGroups) {
+        console.log('[DRY-RUN] Cut');
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Work through the print queue (one run at a time)
+   * Returns the printed, updated and failed tasks of this run
+   */
+  processQueue(delayMs = 0) {
+    const run = this.queueRun.then(() => this.runQueue(delayMs));
+    this.queueRun = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Printer of a queued job (jobs queued before PRINTERS was set have none)
+   */
+  getJobPrinter(job) {
+    return job.printer || this.defaultPrinter;
+  }
+
+  /**
+   * Print the queued jobs in order. A failed job is retried with
+   * exponential backoff and holds back the jobs behind it on the same
+   * printer; other printers keep printing.
+   */
+  async runQueue(delayMs) {
+    const results = { printed: [], updated: [], failed: [] };
+    const jobIds = this.queue.list().map(job => job.id);
+    // Printer name -> next attempt of its held back jobs
+    const held = new Map();
+
+    for (const [index, id] of jobIds.entries()) {
+      const job = this.queue.list().find(j => j.id === id);
+      if (!job) continue; // dropped meanwhile
+
+      const printerName = this.getJobPrinter(job);
+      if (held.has(printerName)) continue;
+
+      if (job.nextAttemptAt && Date.parse(job.nextAttemptAt) > Date.now()) {
+        const waiting = this.queue.list().filter(j => this.getJobPrinter(j) === printerName).length;
+        console.log(`[QUEUE] ${waiting} job(s) waiting for the printer${this.describeTarget(printerName, ' ')}, next attempt at ${new Date(job.nextAttemptAt).toLocaleTimeString()}`);
+        held.set(printerName, job.nextAttemptAt);
+        continue;
+      }
 
-    for (const task of tasks) {
       try {
-        const printed = await this.printTask(task);
-        if (printed) {
-          printedCount++;
+        const outcome = await this.runJob(job);
+        this.queue.remove(job.id);
+
+        if (outcome && job.type === 'ticket') {
+          results[outcome].push(job.task);
           // Delay between prints to avoid overwhelming printer
-          if (tasks.indexOf(task) < tasks.length - 1) {
+          if (index < jobIds.length - 1) {
             await this.sleep(delayMs);
           }
         }
       } catch (err) {
-        console.error(`[ERROR] Failed to print ${task.id}:`, err.message);
+        const attempts = job.attempts + 1;
+        const nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempts)).toISOString();
+        this.queue.updateJob(job.id, { attempts, lastError: err.message, nextAttemptAt });
+
+        console.error(`[QUEUE] ${this.describeJob(job)} failed (attempt ${attempts}), retrying at ${new Date(nextAttemptAt).toLocaleTimeString()}`);
+        if (job.type === 'ticket') {
+          results.failed.push({ ...job.task, error: err.message });
+        }
+
+        held.set(printerName, nextAttemptAt);
       }
     }
 
-    return printedCount;
+    // Run again when the first held back printer is due
+    if (held.size > 0) {
+      this.scheduleRetry([...held.values()].sort((a, b) => Date.parse(a) - Date.parse(b))[0]);
+    }
+
+    return results;
+  }
+
+  /**
+   * Print one queued job
+   */
+  async runJob(job) {
+    const printerName = this.getJobPrinter(job);
+
+    if (job.type === 'ticket') {
+      return this.printTask(job.task, {
+        force: job.force,
+        cut: job.cut !== false,
+        track: job.track !== false,
+        printer: printerName,
+      });
+    }
+
+    if (job.type === 'header') {
+      const render = printer => this.renderGroupHeader(printer, job.title, { cut: job.cut });
+      await this.withPrinter(render, this.slipName(`header-${job.id}`), printerName);
+      console.log(`[PRINT] Group header ${job.title}${this.describeTarget(printerName)}`);
+      return 'printed';
+    }
+
+    const render = printer => this.renderSlip(printer, job.title, job.lines, printerName);
+    await this.withPrinter(render, this.slipName(job.kind), printerName);
+    console.log(`[PRINT] ${job.title} slip${this.describeTarget(printerName)}`);
+    return 'printed';
+  }
+
+  /**
+   * Backoff before the given attempt: retryDelayMs, doubling up to retryMaxDelayMs
+   */
+  getRetryDelay(attempts) {
+    const { retryDelayMs, retryMaxDelayMs } = config.printer;
+    return Math.min(retryDelayMs * 2 ** (attempts - 1), retryMaxDelayMs);
+  }
+
+  /**
+   * Run the queue again when the next job is due
+   */
+  scheduleRetry(at) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processQueue();
+    }, Math.max(0, Date.parse(at) - Date.now()));
+
+    // Pending retries alone don't keep the process running
+    this.retryTimer.unref();
+  }
+
+  /**
+   * Short description of a job, e.g. "job 3 (ticket T1234)" or
+   * "job 3 (ticket T1234 on mobile)" with several printers
+   */
+  describeJob(job) {
+    const what = job.type === 'ticket' ? `ticket ${job.task.id}` : `${job.title} ${job.type}`;
+    return `job ${job.id} (${what}${this.describeTarget(this.getJobPrinter(job))})`;
+  }
+
+  /**
+   * Let matching jobs (job ID, task ID or "all") be retried right away
+   * Returns the number of jobs
+   */
+  resetJobs(ref) {
+    const jobs = ref === 'all' ? this.queue.list() : this.queue.find(ref);
+    jobs.forEach(job => this.queue.updateJob(job.id, { nextAttemptAt: null }));
+    return jobs.length;
+  }
+
+  /**
+   * Remove matching jobs (job ID, task ID or "all") without printing them
+   * Returns the removed jobs
+   */
+  dropJobs(ref) {
+    const jobs = ref === 'all' ? this.queue.list() : this.queue.find(ref);
+    jobs.forEach(job => this.queue.remove(job.id));
+    return jobs;
   }
 
   sleep(ms) {
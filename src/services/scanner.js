@@ -0,0 +1,147 @@
+/**
+ * Scan-to-update
+ *
+ * Reads scanned codes line by line, from stdin (USB keyboard-wedge scanners
+ * type the code followed by Enter) or from a device such as a serial scanner.
+ * Scanning an action code (e.g. DONE) and then a ticket (its QR code URL or
+ * a plain "T1234") applies that action to the task in Phabricator and prints
+ * a confirmation slip.
+ */
+const fs = require('fs');
+const readline = require('readline');
+const { config } = require('../config');
+
+class ScannerService {
+  constructor(app) {
+    this.app = app;
+    this.pendingAction = null;
+    this.reader = null;
+  }
+
+  /**
+   * Start reading scanned codes
+   */
+  start() {
+    const { device } = config.scanner;
+    const input = device ? fs.createReadStream(device) : process.stdin;
+
+    this.reader = readline.createInterface({ input });
+    this.reader.on('line', line => {
+      this.handleScan(line.trim()).catch(err => {
+        console.error('[SCAN] Failed:', err.message);
+      });
+    });
+
+    const codes = Object.keys(config.scanner.actions).join(', ');
+    console.log(`[SCAN] Reading codes from ${device || 'stdin'} (actions: ${codes})`);
+  }
+
+  /**
+   * Stop reading
+   */
+  stop() {
+    if (this.reader) {
+      this.reader.close();
+      this.reader = null;
+    }
+  }
+
+  /**
+   * Extract a task ID from a scanned code ("T1234" or a task URL)
+   */
+  parseTaskId(code) {
+    const match = code.match(/(?:^|\/)T(\d+)\/?$/i);
+    return match ? `T${match[1]}` : null;
+  }
+
+  /**
+   * Handle one scanned code: an action code arms the action,
+   * the next task code applies it
+   */
+  async handleScan(code) {
+    if (!code) return;
+
+    const actionCode = code.toUpperCase();
+    const action = config.scanner.actions[actionCode];
+    if (action) {
+      this.pendingAction = { code: actionCode, ...action };
+      console.log(`[SCAN] ${actionCode}: now scan a ticket`);
+      return;
+    }
+
+    const taskId = this.parseTaskId(code);
+    if (!taskId) {
+      console.warn(`[SCAN] Unknown code: ${code}`);
+      return;
+    }
+
+    if (!this.pendingAction) {
+      console.warn(`[SCAN] ${taskId}: scan an action code first`);
+      return;
+    }
+
+    const pending = this.pendingAction;
+    this.pendingAction = null;
+    await this.applyAction(pending, taskId);
+  }
+
+  /**
+   * Apply an action to a task and print a confirmation slip
+   */
+  async applyAction(action, taskId) {
+    const { phabricator, printer } = this.app;
+    // Slips come out of the printer at the board the ticket hangs on
+    const printerName = printer.getTicketPrinter(taskId);
+    const maxWidth = printer.getMaxWidth(printerName);
+    const result = action.type === 'status' ? `status: ${action.value}` : `column: ${action.value}`;
+
+    if (printer.dryRun) {
+      console.log(`[DRY-RUN] Would set ${taskId} ${result}`);
+      await printer.printSlip('SCANNED', [`${action.code} ${taskId}`, `  ${result}`], 'scan', printerName);
+      return;
+    }
+
+    try {
+      if (action.type === 'status') {
+        await phabricator.setTaskStatus(taskId, action.value);
+      } else {
+        await phabricator.moveTaskToColumn(taskId, action.value);
+      }
+      console.log(`[SCAN] ${taskId} ${result}`);
+
+      const task = await this.syncTicketState(taskId, action);
+      const lines = [`${action.code} ${taskId}`, `  ${result}`];
+      if (task) {
+        lines.push(printer.truncate(`  ${task.fields.name}`, maxWidth));
+      }
+      await printer.printSlip('SCANNED', lines, 'scan', printerName);
+    } catch (err) {
+      console.error(`[SCAN] ${action.code} ${taskId} failed:`, err.message);
+      await printer.printSlip('SCAN FAILED', [
+        `${action.code} ${taskId}`,
+        printer.truncate(err.message, maxWidth),
+      ], 'scan', printerName);
+    }
+  }
+
+  /**
+   * Update the printed state so the next poll does not print a move or
+   * removal slip for a ticket that was just handled at the board
+   */
+  async syncTicketState(taskId, action) {
+    const { phabricator, printer } = this.app;
+    const [task] = await phabricator.getTasksByIds([parseInt(taskId.slice(1), 10)]);
+    if (!task) return null;
+
+    const reason = (await phabricator.getRemovalReasons([task])).get(taskId);
+    if (reason) {
+      printer.markRemoved(taskId, `${reason} (scanned ${action.code})`);
+    } else {
+      printer.setColumn(taskId, phabricator.getColumnNames(task).join(', '));
+    }
+
+    return task;
+  }
+}
+
+module.exports = ScannerService;
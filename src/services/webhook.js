@@ -0,0 +1,161 @@
+/**
+ * Herald webhook receiver
+ *
+ * Phabricator calls a webhook (Config > Webhooks, triggered by a Herald rule
+ * "Call webhooks") whenever a task changes. The request is checked against
+ * the webhook's HMAC key, and the task is fetched and run through the normal
+ * filter and print path, so new tickets print within seconds instead of at
+ * the next poll.
+ *
+ * Editing a task often sends several calls in a row (one per transaction
+ * group), so calls are debounced per task before anything is fetched.
+ *
+ * Routes:
+ *   POST /herald    Webhook call (X-Phabricator-Webhook-Signature required)
+ */
+const crypto = require('crypto');
+const http = require('http');
+const { config } = require('../config');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class WebhookService {
+  constructor(app) {
+    this.app = app;
+    this.server = null;
+    this.timers = new Map();
+  }
+
+  /**
+   * Start listening on the configured host and port
+   */
+  start() {
+    const { host, port } = config.webhook;
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(err => {
+        console.error('[WEBHOOK] Request failed:', err.message);
+        this.send(res, 500, `Error: ${err.message}`);
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        console.log(`[WEBHOOK] Listening on http://${host}:${port}/herald`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop the server and drop pending events
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Handle a webhook call
+   */
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'POST' || pathname !== '/herald') {
+      return this.send(res, 404, 'Not found');
+    }
+
+    const body = await this.readBody(req);
+    if (body === null) {
+      return this.send(res, 413, 'Payload too large');
+    }
+
+    if (!this.verifySignature(body, req.headers['x-phabricator-webhook-signature'])) {
+      console.warn('[WEBHOOK] Rejected call with an invalid signature');
+      return this.send(res, 403, 'Invalid signature');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (err) {
+      return this.send(res, 400, 'Invalid JSON');
+    }
+
+    // Answer right away; Phabricator does not wait for the print
+    this.send(res, 200, 'OK');
+
+    const object = payload.object || {};
+    if (object.type !== 'TASK' || !object.phid) {
+      return;
+    }
+
+    if (payload.action?.test) {
+      console.log(`[WEBHOOK] Test call for ${object.phid}`);
+    }
+
+    this.schedule(object.phid);
+  }
+
+  /**
+   * Read the request body, or null if it is larger than MAX_BODY_BYTES
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          req.destroy();
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Check the hex HMAC-SHA256 of the raw body against the webhook's key
+   */
+  verifySignature(body, signature) {
+    if (!signature) return false;
+
+    const expected = crypto
+      .createHmac('sha256', config.webhook.hmacKey)
+      .update(body)
+      .digest();
+    const actual = Buffer.from(String(signature), 'hex');
+
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Process a task once no further calls for it arrived for debounceMs
+   */
+  schedule(phid) {
+    clearTimeout(this.timers.get(phid));
+
+    this.timers.set(phid, setTimeout(() => {
+      this.timers.delete(phid);
+      this.app.handleTaskEvents([phid]);
+    }, config.webhook.debounceMs));
+  }
+
+  send(res, status, body) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(body);
+  }
+}
+
+module.exports = WebhookService;
@@ -2,20 +2,72 @@
 
 /**
  * Test script to verify printer connection and functionality
- * Run with: npm run test-printer
+ * Run with: npm run test-printer [-- <printer name>]
+ *
+ * Prints a test page followed by a charset page for the configured
+ * CODE_PAGE: the upper half of the code page table, sample text with
+ * accents, quotes, box drawing and emoji, and how it is transliterated.
+ * With PRINTERS, the named printer (default: the default printer) is tested.
  */
 
 const escpos = require('escpos');
-escpos.USB = require('escpos-usb');
+const { config } = require('./config');
+const { getPrinters, getDefaultPrinterName, createDevice, describePrinter } = require('./devices');
+const { getCodePage, transliterate } = require('./utils/codepage');
 
-console.log('PhabPrint - Printer Test');
-console.log('========================\n');
+const CHARSET_SAMPLES = [
+  ['Accents', 'café naïve Łódź Ørsted'],
+  ['Quotes', '“double” ‘single’ «guillemets»'],
+  ['Dashes', 'en – em — ellipsis…'],
+  ['Symbols', '€ £ ° × → ✓'],
+  ['Box', '─│┌┐└┘'],
+  ['Emoji', '🚀 👍🏽'],
+  ['CJK', '日本語'],
+];
 
-// List available USB printers
-console.log('Scanning for USB printers...\n');
+/**
+ * Queue the charset test page for the configured code page
+ */
+function printCharsetPage(printer, codePage, width) {
+  const separator = transliterate('─', codePage).repeat(width);
 
-try {
-  const devices = escpos.USB.findPrinter();
+  printer
+    .align('ct')
+    .style('b')
+    .text('CHARSET TEST')
+    .style('normal')
+    .text(`${codePage.name} (ESC t ${codePage.table ?? '-'})`)
+    .text(separator)
+    .align('lt');
+
+  // Bytes 0x80-0xFF as the printer's current table prints them
+  if (codePage.table !== null) {
+    for (let row = 0x8; row <= 0xf; row++) {
+      const bytes = [];
+      for (let col = 0; col < 16; col++) bytes.push(row * 16 + col);
+      printer.print(Buffer.from(`${row.toString(16).toUpperCase()}x `)).print(Buffer.from(bytes)).print(Buffer.from('\n'));
+    }
+    printer.text(separator);
+  }
+
+  // Sample text as sent to the printer after transliteration
+  CHARSET_SAMPLES.forEach(([label, sample]) => {
+    printer.text(`${label}:`).text(`  ${transliterate(sample, codePage)}`);
+  });
+
+  printer
+    .text(separator)
+    .feed(4)
+    .cut();
+}
+
+/**
+ * List the connected USB printers, exits when there are none
+ */
+function listUsbPrinters() {
+  console.log('Scanning for USB printers...\n');
+
+  const devices = require('escpos-usb').findPrinter();
 
   if (devices.length === 0) {
     console.log('No USB printers found.');
@@ -33,30 +85,69 @@ try {
     console.log(`      Product: 0x${device.deviceDescriptor.idProduct.toString(16)}`);
     console.log('');
   });
+}
+
+console.log('PhabPrint - Printer Test');
+console.log('========================\n');
+
+// First argument that is not a flag or the value of --config / --profile
+const args = process.argv.slice(2);
+const nameArg = args.find((arg, i) => !arg.startsWith('--') && !['--config', '--profile'].includes(args[i - 1]));
+
+const printers = getPrinters();
+const printerName = nameArg || getDefaultPrinterName();
+const target = printers.find(printer => printer.name === printerName);
+if (!target) {
+  console.error(`Unknown printer "${printerName}" (configured: ${printers.map(printer => printer.name).join(', ')})`);
+  process.exit(1);
+}
+
+if (printers.length > 1) {
+  console.log(`Printer ${target.name}: ${describePrinter(target)}\n`);
+}
+
+try {
+  if (target.type === 'usb') {
+    listUsbPrinters();
+  }
 
   // Try to print a test page
   console.log('Attempting to print test page...\n');
 
-  const device = new escpos.USB();
-  const printer = new escpos.Printer(device, { encoding: 'UTF-8' });
+  const codePage = getCodePage(config.printer.codePage);
+  if (config.printer.codePageTable !== null) {
+    codePage.table = config.printer.codePageTable;
+  }
+
+  const width = target.paperWidth === 80 ? 48 : 32;
+  const device = createDevice(target, 'test-page');
+  const printer = new escpos.Printer(device, { encoding: codePage.encoding });
 
   device.open(err => {
     if (err) {
       console.error('Failed to open printer:', err.message);
-      console.log('\nIf you see permission errors, try running with sudo (Linux)');
-      console.log('or check System Preferences > Security & Privacy (macOS)');
+      if (target.type === 'usb') {
+        console.log('\nIf you see permission errors, try running with sudo (Linux)');
+        console.log('or check System Preferences > Security & Privacy (macOS)');
+      }
       process.exit(1);
     }
 
+    if (codePage.table !== null) {
+      printer.setCharacterCodeTable(codePage.table);
+    }
+
+    const separator = transliterate('─', codePage).repeat(width);
+
     printer
       .font('a')
       .align('ct')
-      .size(2, 2)
+      .size(1, 1)
       .style('b')
       .text('PhabPrint')
-      .size(1, 1)
+      .size(0, 0)
       .style('normal')
-      .text('────────────────────────────────')
+      .text(separator)
       .text('')
       .align('lt')
       .text('Printer test successful!')
@@ -64,19 +155,21 @@ try {
       .text('Your thermal printer is ready')
       .text('to print Phabricator tasks.')
       .text('')
-      .text('────────────────────────────────')
+      .text(separator)
       .align('ct')
       .text(new Date().toLocaleString())
       .feed(4)
-      .cut()
-      .close();
+      .cut();
+
+    printCharsetPage(printer, codePage, width);
+    printer.close();
 
     console.log('Test page printed successfully!');
     console.log('Your printer is ready to use with PhabPrint.');
   });
 } catch (err) {
   console.error('Error:', err.message);
-  console.log('\nMake sure the escpos and escpos-usb packages are installed:');
+  console.log('\nMake sure the escpos package and the device package (escpos-usb or escpos-network) are installed:');
   console.log('  npm install');
   process.exit(1);
 }
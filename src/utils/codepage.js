@@ -0,0 +1,118 @@
+/**
+ * Printer code pages and transliteration
+ *
+ * Most thermal printers cannot print UTF-8. They print single-byte code pages
+ * that are selected with ESC t n. Text is encoded with the configured code page
+ * (via iconv-lite), and characters the code page cannot print are
+ * transliterated to ASCII (é → e, “ → ", → → ->) or replaced with "?".
+ */
+const iconv = require('iconv-lite');
+
+// Code page name -> iconv encoding and ESC t table number (Epson numbering)
+const CODE_PAGES = {
+  'utf-8': { encoding: 'utf8', table: null },
+  cp437: { encoding: 'cp437', table: 0 },
+  cp850: { encoding: 'cp850', table: 2 },
+  cp860: { encoding: 'cp860', table: 3 },
+  cp863: { encoding: 'cp863', table: 4 },
+  cp865: { encoding: 'cp865', table: 5 },
+  cp1252: { encoding: 'win1252', table: 16 },
+  cp866: { encoding: 'cp866', table: 17 },
+  cp852: { encoding: 'cp852', table: 18 },
+  cp858: { encoding: 'cp858', table: 19 },
+};
+
+// Replacements for characters that don't decompose to ASCII
+const TRANSLITERATIONS = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"', '«': '"', '»': '"',
+  '‹': '<', '›': '>',
+  '–': '-', '—': '-', '―': '-', '‐': '-', '‑': '-', '−': '-',
+  '…': '...', '•': '*', '·': '.', '°': 'o',
+  '→': '->', '←': '<-', '↑': '^', '↓': 'v', '⇒': '=>',
+  '─': '-', '━': '-', '═': '=', '│': '|', '┃': '|', '║': '|',
+  '┌': '+', '┐': '+', '└': '+', '┘': '+', '├': '+', '┤': '+', '┬': '+', '┴': '+', '┼': '+',
+  '▀': '"', '▄': '_', '█': '#', '░': '#', '▒': '#', '▓': '#',
+  '✓': 'v', '✔': 'v', '✗': 'x', '✘': 'x', '×': 'x', '÷': '/',
+  'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+  'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th', 'ı': 'i',
+  '€': 'EUR', '£': 'GBP', '¥': 'JPY', '©': '(c)', '®': '(R)', '™': '(TM)',
+  '\u00a0': ' ', '\u2009': ' ', '\u202f': ' ',
+};
+
+// Zero-width joiners, variation selectors and emoji modifiers print nothing
+const INVISIBLE = /[\u200b-\u200f\u2060\ufe00-\ufe0f\u{1f3fb}-\u{1f3ff}\u{e0020}-\u{e007f}]/gu;
+
+/**
+ * Look up a code page by name (case-insensitive)
+ */
+function getCodePage(name = 'cp437') {
+  const codePage = CODE_PAGES[String(name).toLowerCase()];
+  if (!codePage) {
+    throw new Error(`Unknown code page "${name}" (supported: ${Object.keys(CODE_PAGES).join(', ')})`);
+  }
+  return { name: String(name).toLowerCase(), ...codePage };
+}
+
+/**
+ * Code page name for an ESC t table number (for decoding printer output)
+ */
+function getCodePageByTable(table) {
+  const name = Object.keys(CODE_PAGES).find(key => CODE_PAGES[key].table === table);
+  return name ? getCodePage(name) : null;
+}
+
+/**
+ * Whether the code page can print a character
+ */
+function canEncode(char, codePage) {
+  if (codePage.encoding === 'utf8') return true;
+  return iconv.decode(iconv.encode(char, codePage.encoding), codePage.encoding) === char;
+}
+
+/**
+ * Replace characters the code page cannot print: known replacements first,
+ * then the character without accents, then "?"
+ */
+function transliterate(text, codePage) {
+  if (codePage.encoding === 'utf8' || !text) return text;
+
+  let result = '';
+  for (const char of String(text).replace(INVISIBLE, '')) {
+    if (canEncode(char, codePage)) {
+      result += char;
+    } else if (TRANSLITERATIONS[char]) {
+      result += TRANSLITERATIONS[char];
+    } else {
+      const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      result += base && [...base].every(c => canEncode(c, codePage)) ? base : '?';
+    }
+  }
+  return result;
+}
+
+/**
+ * Transliterate every string (and string list) value of an object
+ */
+function transliterateValues(values, codePage) {
+  const result = {};
+  Object.entries(values).forEach(([key, value]) => {
+    if (typeof value === 'string') {
+      result[key] = transliterate(value, codePage);
+    } else if (Array.isArray(value)) {
+      result[key] = value.map(item => (typeof item === 'string' ? transliterate(item, codePage) : item));
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  CODE_PAGES,
+  getCodePage,
+  getCodePageByTable,
+  canEncode,
+  transliterate,
+  transliterateValues,
+};
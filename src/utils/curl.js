@@ -0,0 +1,97 @@
+/**
+ * Minimal async curl client for form POSTs
+ *
+ * The URL and form fields are written to curl's config file on stdin
+ * (curl -K -), so secrets such as the API token never appear in the
+ * process list and values need no shell quoting.
+ */
+const { spawn } = require('child_process');
+const { NetworkError } = require('./errors');
+
+// curl exit code for "operation timed out"
+const CURL_TIMEOUT = 28;
+
+/**
+ * Quote a value for a curl config file
+ */
+function quoteConfigValue(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t');
+  return `"${escaped}"`;
+}
+
+/**
+ * Build the curl config for a form POST
+ */
+function buildConfig(url, fields) {
+  const lines = [`url = ${quoteConfigValue(url)}`];
+  for (const [key, value] of Object.entries(fields)) {
+    lines.push(`data-urlencode = ${quoteConfigValue(`${key}=${value}`)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * POST form fields to a URL, resolving with { status, body }.
+ * Rejects with a NetworkError if curl fails or times out.
+ */
+function postForm(url, fields, { timeoutMs = 30000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('curl', [
+      '--silent',
+      '--show-error',
+      '--max-time', String(Math.ceil(timeoutMs / 1000)),
+      '--write-out', '\n%{http_code}',
+      '--config', '-',
+    ]);
+
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+
+    // Safety net in case curl itself hangs past --max-time
+    let killed = false;
+    const timer = setTimeout(() => {
+      killed = true;
+      child.kill();
+    }, timeoutMs + 5000);
+
+    child.on('error', err => {
+      clearTimeout(timer);
+      reject(new NetworkError(err.message));
+    });
+
+    child.on('close', code => {
+      clearTimeout(timer);
+
+      if (killed || code === CURL_TIMEOUT) {
+        reject(new NetworkError(`timed out after ${timeoutMs / 1000}s`, { exitCode: code, timedOut: true }));
+        return;
+      }
+
+      if (code !== 0) {
+        const message = Buffer.concat(stderr).toString('utf-8').trim() || `exit code ${code}`;
+        reject(new NetworkError(message, { exitCode: code }));
+        return;
+      }
+
+      // The status code is appended on its own line by --write-out
+      const output = Buffer.concat(stdout).toString('utf-8');
+      const split = output.lastIndexOf('\n');
+      resolve({
+        status: parseInt(output.slice(split + 1), 10),
+        body: output.slice(0, split),
+      });
+    });
+
+    child.stdin.on('error', () => {}); // reported through 'close' / 'error'
+    child.stdin.end(buildConfig(url, fields));
+  });
+}
+
+module.exports = { postForm, buildConfig };
@@ -0,0 +1,50 @@
+/**
+ * Errors raised by Phabricator (Conduit) calls
+ *
+ *   NetworkError   curl could not complete the request (DNS, connection, timeout)
+ *   HttpError      the server answered with a non-2xx status
+ *   ConduitError   the call reached Conduit and it returned an error_code
+ */
+class PhabricatorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+class NetworkError extends PhabricatorError {
+  constructor(message, { exitCode = null, timedOut = false } = {}) {
+    super(`curl failed: ${message}`);
+    this.exitCode = exitCode;
+    this.timedOut = timedOut;
+  }
+}
+
+class HttpError extends PhabricatorError {
+  constructor(status, method) {
+    super(`HTTP ${status} from ${method}`);
+    this.status = status;
+  }
+
+  /**
+   * Rate limiting and server errors are worth retrying
+   */
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+class ConduitError extends PhabricatorError {
+  constructor(code, info) {
+    super(`Phabricator API error: ${info || code}`);
+    this.code = code;
+    this.info = info;
+  }
+}
+
+module.exports = {
+  PhabricatorError,
+  NetworkError,
+  HttpError,
+  ConduitError,
+};
@@ -0,0 +1,125 @@
+/**
+ * Print order and grouping of a ticket batch
+ *
+ * Sort keys follow the board: priority highest first, column in the order
+ * of the sprint column keywords, project and owner A-Z, points and ID
+ * lowest first.
+ * A "-" prefix reverses a key. Tasks without a value always come last.
+ */
+const { parsePoints, getSprintColumn, getColumnRank } = require('./summary');
+
+/**
+ * Sort keys: value of a task (null when missing) and comparison of two values
+ */
+const SORT_KEYS = {
+  priority: {
+    value: task => task.priorityValue ?? null,
+    compare: (a, b) => b - a,
+  },
+  column: {
+    value: (task, { sprintColumns }) => getSprintColumn(task, sprintColumns),
+    compare: (a, b, { sprintColumns }) =>
+      getColumnRank(a, sprintColumns) - getColumnRank(b, sprintColumns) || a.localeCompare(b),
+  },
+  project: {
+    value: task => (task.projects || [])[0] || null,
+    compare: (a, b) => a.localeCompare(b),
+  },
+  owner: {
+    value: task => task.owner || null,
+    compare: (a, b) => a.localeCompare(b),
+  },
+  points: {
+    value: task => parsePoints(task.points),
+    compare: (a, b) => a - b,
+  },
+  id: {
+    value: task => task.numericId ?? (parseInt(String(task.id).slice(1), 10) || null),
+    compare: (a, b) => a - b,
+  },
+};
+
+// Keys tickets can be grouped by, with the group name of a task
+const GROUP_KEYS = {
+  column: (task, { sprintColumns }) => getSprintColumn(task, sprintColumns),
+  priority: task => task.priority || 'Unknown',
+  project: task => (task.projects || [])[0] || 'No project',
+  owner: task => task.owner || 'Unassigned',
+};
+
+/**
+ * Parse sort keys, e.g. "column,-priority,id" (throws on unknown keys)
+ */
+function parseSortKeys(value) {
+  const keys = (Array.isArray(value) ? value : String(value).split(','))
+    .map(key => String(key).trim().toLowerCase())
+    .filter(Boolean);
+
+  keys.forEach(key => {
+    if (!SORT_KEYS[key.replace(/^[+-]/, '')]) {
+      throw new Error(`unknown sort key "${key}" (allowed: ${Object.keys(SORT_KEYS).join(', ')})`);
+    }
+  });
+
+  return keys.map(key => key.replace(/^\+/, ''));
+}
+
+/**
+ * Sort tasks (formatted for print) by the given keys; ties keep their order
+ */
+function sortTasks(tasks, sortKeys, options) {
+  const keys = sortKeys.map(key => ({
+    ...SORT_KEYS[key.replace(/^-/, '')],
+    direction: key.startsWith('-') ? -1 : 1,
+  }));
+
+  return tasks
+    .map((task, index) => ({ task, index, values: keys.map(key => key.value(task, options)) }))
+    .sort((a, b) => {
+      for (const [i, key] of keys.entries()) {
+        const [x, y] = [a.values[i], b.values[i]];
+        if (x === y) continue;
+        if (x === null) return 1;
+        if (y === null) return -1;
+        const result = key.compare(x, y, options) * key.direction;
+        if (result !== 0) return result;
+      }
+      return a.index - b.index;
+    })
+    .map(entry => entry.task);
+}
+
+/**
+ * Order a batch and split it into groups: [{ name, tasks }]. Without
+ * grouping ('none') the whole batch is one group named null.
+ */
+function orderTasks(tasks, { sortBy = [], groupBy = 'none', sprintColumns = [] } = {}) {
+  const options = { sprintColumns };
+
+  if (groupBy === 'none') {
+    return tasks.length > 0 ? [{ name: null, tasks: sortTasks(tasks, sortBy, options) }] : [];
+  }
+
+  // Group order comes from the group key, then the sort keys apply inside
+  const sorted = sortTasks(tasks, [groupBy, ...sortBy], options);
+  const groups = [];
+  sorted.forEach(task => {
+    const name = GROUP_KEYS[groupBy](task, options);
+    const last = groups[groups.length - 1];
+    if (last && last.name === name) {
+      last.tasks.push(task);
+    } else {
+      groups.push({ name, tasks: [task] });
+    }
+  });
+
+  return groups;
+}
+
+module.exports = {
+  SORT_KEYS,
+  GROUP_KEYS,
+  parseSortKeys,
+  sortTasks,
+  orderTasks,
+};
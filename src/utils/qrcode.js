@@ -0,0 +1,100 @@
+/**
+ * QR code helpers
+ *
+ * The matrix is computed once with qr-image so the printed code (ESC/POS
+ * GS ( k, rendered by the printer itself) and the dry-run console preview
+ * share the same version and module count.
+ */
+const qr = require('qr-image');
+
+// Printable width in dots for common paper sizes (203 dpi heads)
+const PRINTABLE_DOTS = { 58: 384, 80: 576 };
+
+// Fraction of the printable width the QR code may use
+const MAX_WIDTH_RATIO = 0.5;
+
+const EC_LEVELS = { L: 48, M: 49, Q: 50, H: 51 };
+
+/**
+ * Build the QR module matrix (rows of 0/1) for the given text
+ */
+function qrMatrix(text, ecLevel = 'M') {
+  return qr.matrix(text, ecLevel);
+}
+
+/**
+ * Pick the largest module size (in dots) that keeps the code
+ * within the allowed share of the paper width
+ */
+function qrModuleSize(moduleCount, paperWidth) {
+  const dots = PRINTABLE_DOTS[paperWidth] || PRINTABLE_DOTS[58];
+  const size = Math.floor((dots * MAX_WIDTH_RATIO) / moduleCount);
+  return Math.max(1, Math.min(8, size));
+}
+
+/**
+ * Build a GS ( k command
+ */
+function gsK(fn, data) {
+  const length = data.length + 2;
+  return Buffer.concat([
+    Buffer.from([0x1d, 0x28, 0x6b, length & 0xff, (length >> 8) & 0xff, 0x31, fn]),
+    data,
+  ]);
+}
+
+/**
+ * Build the ESC/POS byte sequence that stores and prints a QR code (model 2)
+ */
+function qrCodeCommand(text, { moduleSize = 6, ecLevel = 'M' } = {}) {
+  const data = Buffer.from(text, 'utf8');
+
+  return Buffer.concat([
+    // Select model 2
+    gsK(0x41, Buffer.from([0x32, 0x00])),
+    // Module size in dots
+    gsK(0x43, Buffer.from([moduleSize])),
+    // Error correction level
+    gsK(0x45, Buffer.from([EC_LEVELS[ecLevel]])),
+    // Store data in the symbol storage area
+    gsK(0x50, Buffer.concat([Buffer.from([0x30]), data])),
+    // Print the stored symbol
+    gsK(0x51, Buffer.from([0x30])),
+  ]);
+}
+
+/**
+ * Render a QR matrix as Unicode half blocks (two module rows per line)
+ */
+function renderQrBlocks(matrix, margin = 1) {
+  const size = matrix.length + margin * 2;
+  const isDark = (row, col) => {
+    const r = row - margin;
+    const c = col - margin;
+    return r >= 0 && c >= 0 && r < matrix.length && c < matrix.length && matrix[r][c] === 1;
+  };
+
+  const lines = [];
+  for (let row = 0; row < size; row += 2) {
+    let line = '';
+    for (let col = 0; col < size; col++) {
+      const top = isDark(row, col);
+      const bottom = isDark(row + 1, col);
+      if (top && bottom) line += '█';
+      else if (top) line += '▀';
+      else if (bottom) line += '▄';
+      else line += ' ';
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+module.exports = {
+  PRINTABLE_DOTS,
+  qrMatrix,
+  qrModuleSize,
+  qrCodeCommand,
+  renderQrBlocks,
+};
@@ -0,0 +1,52 @@
+/**
+ * Remarkup (Phabricator markup) to plain text
+ *
+ * Good enough for a short description excerpt on a ticket: formatting marks,
+ * links, embeds, code blocks and tables are removed, list items and
+ * paragraphs stay on their own lines.
+ */
+
+/**
+ * Strip Remarkup formatting from a task description
+ */
+function stripRemarkup(text) {
+  if (!text) return '';
+
+  const plain = String(text)
+    .replace(/\r\n?/g, '\n')
+    // Code blocks and embeds carry nothing readable on a ticket
+    .replace(/```[\s\S]*?(```|$)/g, '')
+    .replace(/<table>[\s\S]*?<\/table>/gi, '')
+    .replace(/\{[FM]\d+[^}]*\}/g, '')
+    // {T123} object references
+    .replace(/\{([A-Z]\d+)[^}]*\}/g, '$1')
+    // [[ url | name ]] and [[ url ]], [name](url)
+    .replace(/\[\[\s*([^\]|]+?)\s*\|\s*([^\]]+?)\s*\]\]/g, '$2')
+    .replace(/\[\[\s*([^\]]+?)\s*\]\]/g, '$1')
+    .replace(/\[([^\]]+)\]\((\S+?)\)/g, '$1')
+    // **bold**, //italic//, `mono`, ##mono##, ~~strike~~, __underline__, !!highlight!!
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/(^|[^:])\/\/(.+?)\/\//g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/##(.+?)##/g, '$1')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/__(.+?)__/g, '$1')
+    .replace(/!!(.+?)!!/g, '$1');
+
+  return plain
+    .split('\n')
+    .map(line => line
+      // = Header = and == Header
+      .replace(/^\s*=+\s*(.*?)\s*=*\s*$/, '$1')
+      // > quotes, | table rows
+      .replace(/^\s*>+\s?/, '')
+      .replace(/^\s*\|.*\|\s*$/, '')
+      // - item, * item, # item (nested too) become "- item"
+      .replace(/^\s*[-*#]+\s+/, '- ')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+module.exports = { stripRemarkup };
@@ -0,0 +1,41 @@
+/**
+ * Print routing: which named printer a task's ticket goes to
+ *
+ * Rules are checked in order and the first match wins; tasks no rule
+ * matches go to the default printer. Project and column names and
+ * usernames compare case-insensitively.
+ */
+
+const equals = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Fields a rule can match on, with the test of a task against the rule value
+const ROUTE_FIELDS = {
+  // Project name or PHID
+  project: (task, value) =>
+    (task.projects || []).some(name => equals(name, value)) || (task.projectPhids || []).includes(value),
+  // Assigned user PHID or username
+  assignee: (task, value) => task.ownerPhid === value || (task.ownerUsername != null && equals(task.ownerUsername, value)),
+  // Board column name
+  column: (task, value) => (task.columns || []).some(name => equals(name, value)),
+};
+
+/**
+ * Name of the printer for a task (formatted for print)
+ */
+function routeTask(task, rules, defaultPrinter) {
+  const rule = rules.find(r => ROUTE_FIELDS[r.field](task, r.value));
+  return rule ? rule.printer : defaultPrinter;
+}
+
+/**
+ * One-line description of a rule, e.g. "column Review → backend"
+ */
+function describeRoute(rule) {
+  return `${rule.field} ${rule.value} → ${rule.printer}`;
+}
+
+module.exports = {
+  ROUTE_FIELDS,
+  routeTask,
+  describeRoute,
+};
@@ -0,0 +1,107 @@
+/**
+ * Sprint summary for the standup receipt
+ *
+ * Groups the sprint tasks by column and by priority with task counts and
+ * summed story points. Tasks without points (N/A) are counted separately
+ * instead of being treated as 0.
+ */
+
+/**
+ * Story points of a task as a number, or null when not estimated
+ */
+function parsePoints(points) {
+  if (points === null || points === undefined || points === '') return null;
+  const value = Number(points);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Format a point sum, e.g. 8 or 2.5
+ */
+function formatPoints(points) {
+  return Number.isInteger(points) ? String(points) : points.toFixed(1);
+}
+
+/**
+ * The sprint column a task is counted in: the first of its columns
+ * matching a sprint column keyword
+ */
+function getSprintColumn(task, sprintColumns) {
+  const columns = task.columns || [];
+  const match = columns.find(name =>
+    sprintColumns.some(keyword => name.toLowerCase().includes(keyword))
+  );
+  return match || columns[0] || 'No column';
+}
+
+/**
+ * Position of a column in the order of the sprint column keywords
+ * (columns matching no keyword come last)
+ */
+function getColumnRank(name, sprintColumns) {
+  const index = sprintColumns.findIndex(keyword => name.toLowerCase().includes(keyword));
+  return index === -1 ? sprintColumns.length : index;
+}
+
+/**
+ * Add a task to a group, creating the group on first use
+ */
+function addToGroup(groups, name, task) {
+  if (!groups.has(name)) {
+    groups.set(name, { name, count: 0, points: 0, unestimated: 0, tasks: [] });
+  }
+
+  const group = groups.get(name);
+  const points = parsePoints(task.points);
+  group.count++;
+  group.tasks.push(task);
+  if (points === null) {
+    group.unestimated++;
+  } else {
+    group.points += points;
+  }
+}
+
+/**
+ * Summarize sprint tasks (formatted for print) by column and priority.
+ * Columns follow the order of the sprint column keywords, priorities
+ * go from highest to lowest.
+ */
+function summarizeSprint(tasks, sprintColumns) {
+  const columns = new Map();
+  const priorities = new Map();
+  const total = { name: 'Total', count: 0, points: 0, unestimated: 0, tasks: [] };
+
+  tasks.forEach(task => {
+    addToGroup(columns, getSprintColumn(task, sprintColumns), task);
+    addToGroup(priorities, task.priority || 'Unknown', task);
+
+    const points = parsePoints(task.points);
+    total.count++;
+    total.tasks.push(task);
+    if (points === null) {
+      total.unestimated++;
+    } else {
+      total.points += points;
+    }
+  });
+
+  const priorityValue = group => group.tasks[0].priorityValue ?? -1;
+
+  return {
+    columns: [...columns.values()].sort((a, b) =>
+      getColumnRank(a.name, sprintColumns) - getColumnRank(b.name, sprintColumns)
+        || a.name.localeCompare(b.name)
+    ),
+    priorities: [...priorities.values()].sort((a, b) => priorityValue(b) - priorityValue(a)),
+    total,
+  };
+}
+
+module.exports = {
+  parsePoints,
+  formatPoints,
+  getSprintColumn,
+  getColumnRank,
+  summarizeSprint,
+};
@@ -0,0 +1,262 @@
+/**
+ * Task filter expressions (TASK_FILTER)
+ *
+ * A small expression language to select the tasks to print, e.g.
+ *
+ *   priority >= High and (has tag Backend or column = "In Progress")
+ *   points set and column ~ /^sprint\b/i and not status = stalled
+ *
+ * Conditions are `<field> <op> <value>`, `<field> set`, `<field> unset` and
+ * `has <field> [<value>]`, combined with `and`, `or`, `not` and parentheses.
+ * Values are bare words, "quoted strings" or /regular expressions/flags.
+ * Bare words run until whitespace, a parenthesis or an operator, so they may
+ * contain / or quotes after their first character (e.g. title ~ foo/bar).
+ * Text comparisons are case-insensitive; `~` matches a regex or a substring.
+ */
+
+// Default Phabricator priorities, highest first
+const PRIORITIES = {
+  unbreaknow: 100,
+  needstriage: 90,
+  high: 80,
+  normal: 50,
+  low: 25,
+  wishlist: 0,
+};
+
+// Filter fields: numbers compare with < <= > >=, lists match if any item does
+const FIELDS = {
+  priority: 'number',
+  points: 'number',
+  tag: 'list',
+  column: 'list',
+  status: 'list',
+  title: 'list',
+};
+
+const FIELD_ALIASES = { project: 'tag', tags: 'tag', projects: 'tag', columns: 'column' };
+
+const NUMBER_OPS = ['=', '!=', '<', '<=', '>', '>='];
+const LIST_OPS = ['=', '!=', '~'];
+const OP_ALIASES = { '==': '=', '≠': '!=', '≥': '>=', '≤': '<=', '=~': '~' };
+
+/**
+ * Split an expression into tokens: ( ) operators, "strings", /regex/ and words
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(?:([()])|(==|!=|<=|>=|=~|[=<>~≠≥≤])|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\/((?:[^/\\]|\\.)+)\/([a-z]*)|([^\s()=<>!~"'/≥≤≠][^\s()=<>!~≥≤≠]*))/gy;
+
+  let match;
+  while (pattern.lastIndex < text.length) {
+    const position = pattern.lastIndex;
+    if (text.slice(position).trim() === '') break;
+
+    match = pattern.exec(text);
+    if (!match) {
+      throw new Error(`unexpected "${text.slice(position).trim()[0]}" at position ${position + 1}`);
+    }
+
+    const [, paren, op, double, single, regex, flags, word] = match;
+    if (paren) tokens.push({ type: paren, position });
+    else if (op) tokens.push({ type: 'op', value: OP_ALIASES[op] || op, position });
+    else if (double !== undefined || single !== undefined) {
+      tokens.push({ type: 'value', value: (double ?? single).replace(/\\(.)/g, '$1'), position });
+    } else if (regex !== undefined) {
+      try {
+        // Without g and y, test() does not keep state between tasks
+        tokens.push({ type: 'regex', value: new RegExp(regex, flags.replace(/[gy]/g, '')), position });
+      } catch (err) {
+        throw new Error(`invalid regex /${regex}/${flags} at position ${position + 1}`);
+      }
+    } else {
+      tokens.push({ type: 'word', value: word, position });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Number for a priority or points value
+ */
+function parseNumber(field, token) {
+  if (token.type === 'regex') {
+    throw new Error(`${field} cannot be compared with a regex (position ${token.position + 1})`);
+  }
+
+  const number = Number(token.value);
+  if (token.value !== '' && Number.isFinite(number)) return number;
+
+  const priority = PRIORITIES[token.value.toLowerCase().replace(/[\s_-]/g, '')];
+  if (field === 'priority' && priority !== undefined) return priority;
+
+  throw new Error(field === 'priority'
+    ? `unknown priority "${token.value}" (use ${Object.keys(PRIORITIES).join(', ')} or a number)`
+    : `${field} needs a number, got "${token.value}"`);
+}
+
+/**
+ * Build the test for one condition
+ */
+function compileCondition(field, op, token) {
+  const type = FIELDS[field];
+
+  if (op === 'set' || op === 'unset') {
+    const isSet = values => (type === 'number' ? values[field] !== null && values[field] !== undefined : values[field].length > 0);
+    return op === 'set' ? isSet : values => !isSet(values);
+  }
+
+  if (type === 'number') {
+    if (!NUMBER_OPS.includes(op)) {
+      throw new Error(`${field} supports ${NUMBER_OPS.join(' ')}, set and unset, not "${op}"`);
+    }
+    const target = parseNumber(field, token);
+    const compare = {
+      '=': v => v === target,
+      '!=': v => v !== target,
+      '<': v => v < target,
+      '<=': v => v <= target,
+      '>': v => v > target,
+      '>=': v => v >= target,
+    }[op];
+    return values => values[field] !== null && values[field] !== undefined && compare(values[field]);
+  }
+
+  if (!LIST_OPS.includes(op)) {
+    throw new Error(`${field} supports ${LIST_OPS.join(' ')}, set and unset, not "${op}"`);
+  }
+
+  let matches;
+  if (token.type === 'regex') {
+    matches = item => token.value.test(item);
+  } else if (op === '~') {
+    const text = token.value.toLowerCase();
+    matches = item => item.toLowerCase().includes(text);
+  } else {
+    const text = token.value.toLowerCase();
+    matches = item => item.toLowerCase() === text;
+  }
+
+  return op === '!='
+    ? values => !values[field].some(matches)
+    : values => values[field].some(matches);
+}
+
+/**
+ * Recursive descent parser: or > and > not > condition
+ */
+function parse(tokens) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const isWord = (token, word) => token?.type === 'word' && token.value.toLowerCase() === word;
+  const fail = (message, token = peek()) => {
+    throw new Error(token ? `${message} at position ${token.position + 1}` : `${message} at the end`);
+  };
+
+  const readField = () => {
+    const token = tokens[index++];
+    const name = token?.type === 'word' ? token.value.toLowerCase() : null;
+    const field = FIELD_ALIASES[name] || name;
+    if (!FIELDS[field]) {
+      fail(`expected a field (${Object.keys(FIELDS).join(', ')})`, token);
+    }
+    return field;
+  };
+
+  const readValue = () => {
+    const token = tokens[index++];
+    if (!token || !['word', 'value', 'regex'].includes(token.type)) fail('expected a value', token);
+    return token;
+  };
+
+  const condition = () => {
+    if (peek()?.type === '(') {
+      index++;
+      const test = or();
+      if (peek()?.type !== ')') fail('expected ")"');
+      index++;
+      return test;
+    }
+
+    // has tag Backend, has points
+    if (isWord(peek(), 'has')) {
+      index++;
+      const field = readField();
+      const next = peek();
+      const hasValue = next && ['word', 'value', 'regex'].includes(next.type)
+        && !['and', 'or'].some(word => isWord(next, word));
+      return hasValue
+        ? compileCondition(field, next.type === 'regex' ? '~' : '=', readValue())
+        : compileCondition(field, 'set');
+    }
+
+    const field = readField();
+    if (isWord(peek(), 'set') || isWord(peek(), 'unset')) {
+      return compileCondition(field, tokens[index++].value.toLowerCase());
+    }
+
+    if (peek()?.type !== 'op') fail(`expected an operator after ${field}`);
+    const op = tokens[index++].value;
+    return compileCondition(field, op, readValue());
+  };
+
+  const not = () => {
+    if (isWord(peek(), 'not')) {
+      index++;
+      const test = not();
+      return values => !test(values);
+    }
+    return condition();
+  };
+
+  const and = () => {
+    let test = not();
+    while (isWord(peek(), 'and')) {
+      index++;
+      const left = test;
+      const right = not();
+      test = values => left(values) && right(values);
+    }
+    return test;
+  };
+
+  const or = () => {
+    let test = and();
+    while (isWord(peek(), 'or')) {
+      index++;
+      const left = test;
+      const right = and();
+      test = values => left(values) || right(values);
+    }
+    return test;
+  };
+
+  const test = or();
+  if (index < tokens.length) fail(`unexpected "${tokens[index].value ?? tokens[index].type}"`);
+  return test;
+}
+
+/**
+ * Parse a filter expression into { text, fields, test(values) }. `values`
+ * has the task's priority and points (numbers or null) and tag, column,
+ * status and title lists. Throws on syntax errors.
+ */
+function parseTaskFilter(text) {
+  const tokens = tokenize(String(text));
+  if (tokens.length === 0) {
+    throw new Error('filter is empty');
+  }
+
+  const fields = new Set(tokens
+    .filter(token => token.type === 'word')
+    .map(token => FIELD_ALIASES[token.value.toLowerCase()] || token.value.toLowerCase())
+    .filter(name => FIELDS[name]));
+
+  return { text: String(text).trim(), fields, test: parse(tokens) };
+}
+
+module.exports = {
+  PRIORITIES,
+  parseTaskFilter,
+};